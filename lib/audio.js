@@ -0,0 +1,155 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/audio.js  –  ffmpeg plumbing
+
+   • probe / convert: anything ffmpeg reads → 16 kHz mono WAV for STT
+   • long recordings are cut at pauses (silencedetect) into pieces the
+     transcription APIs accept, so a word is never split in half
+   • concat() joins several synthesized MP3 chunks into one file
+   • every temp file lives in one directory (TMP); sweepTmp() clears
+     whatever a crash or kill left behind
+   • toVoiceNote() turns TTS MP3 into what WhatsApp records itself:
+     mono Opus in an OGG container, so replies play (and forward) as
+     voice notes rather than file attachments
+────────────────────────────────────────────────────────────────────── */
+import fs       from "fs";
+import os       from "os";
+import path     from "path";
+import ffmpeg   from "fluent-ffmpeg";
+import { randomUUID as uuid } from "crypto";
+
+export const TMP = path.join(os.tmpdir(), "tucanchat");
+fs.mkdirSync(TMP, { recursive: true });
+
+/* fresh path in TMP: tmpFile(".wav") → /tmp/tucanchat/<uuid>.wav */
+export const tmpFile = (ext = "") => path.join(TMP, `${uuid()}${ext}`);
+export const rmFiles = files => files.forEach(f => fs.rmSync(f, { force: true }));
+
+/* remove temp files older than maxAgeMs → count removed */
+export function sweepTmp(maxAgeMs = 60 * 60e3) {
+  let n = 0;
+  for (const f of fs.readdirSync(TMP)) {
+    const p = path.join(TMP, f);
+    try {
+      if (Date.now() - fs.statSync(p).mtimeMs > maxAgeMs) { fs.rmSync(p, { force: true }); n++; }
+    } catch { /* already gone */ }
+  }
+  return n;
+}
+
+export const probeSeconds = f => new Promise((res, rej) =>
+  ffmpeg.ffprobe(f, (e, d) => (e ? rej(e) : res(Number(d?.format?.duration) || 0)))
+);
+
+export const hasAudio = f => new Promise(res =>
+  ffmpeg.ffprobe(f, (e, d) => res(!e && (d?.streams || []).some(s => s.codec_type === "audio")))
+);
+
+export const toWav = (i, o) => new Promise((res, rej) =>
+  ffmpeg(i).noVideo().audioCodec("pcm_s16le")
+    .outputOptions(["-ac", "1", "-ar", "16000", "-f", "wav"])
+    .on("error", rej).on("end", () => res(o))
+    .save(o)
+);
+
+/* pauses in a recording → [{ start, end }] (seconds) */
+export const silences = (f, { noise = "-35dB", min = 0.4 } = {}) => new Promise((res, rej) => {
+  const found = [];
+  ffmpeg(f)
+    .audioFilters(`silencedetect=noise=${noise}:d=${min}`)
+    .outputOptions(["-f", "null"])
+    .on("stderr", line => {
+      const s = line.match(/silence_start: ([\d.]+)/);
+      const e = line.match(/silence_end: ([\d.]+)/);
+      if (s) found.push({ start: +s[1], end: null });
+      if (e && found.length) found[found.length - 1].end = +e[1];
+    })
+    .on("error", rej).on("end", () => res(found.filter(x => x.end != null)))
+    .save("/dev/null");
+});
+
+/* where to cut: every ~`segment` seconds, at the last pause in the
+   `window` before that mark (hard cut when the speaker never pauses) */
+export function cutPoints(duration, pauses, { segment = 600, window = 60 } = {}) {
+  const points = [];
+  let last = 0;
+  while (duration - last > segment) {
+    const mark  = last + segment;
+    const quiet = pauses
+      .map(p => (p.start + p.end) / 2)
+      .filter(t => t > mark - window && t <= mark)
+      .pop();
+    last = quiet ?? mark;
+    points.push(last);
+  }
+  return points;
+}
+
+/* cut a WAV at `points` → piece files in TMP (caller removes them) */
+export async function split(wav, points) {
+  const bounds = [0, ...points];
+  const outs   = bounds.map((_, i) => tmpFile(`.part${i}.wav`));
+  try {
+    return await Promise.all(bounds.map((start, i) => new Promise((res, rej) => {
+      const cmd = ffmpeg(wav).setStartTime(start).outputOptions(["-c", "copy"]);
+      if (i < points.length) cmd.setDuration(bounds[i + 1] - start);
+      cmd.on("error", rej).on("end", () => res(outs[i])).save(outs[i]);
+    })));
+  } catch (e) {
+    rmFiles(outs);
+    throw e;
+  }
+}
+
+/* MP3 buffer → OGG/Opus voice note buffer (duration lives in the
+   OGG granule positions, which ffmpeg writes) */
+export async function toVoiceNote(mp3) {
+  const src = tmpFile(".mp3");
+  const out = tmpFile(".ogg");
+  try {
+    fs.writeFileSync(src, mp3);
+    await new Promise((res, rej) =>
+      ffmpeg(src).noVideo().audioCodec("libopus")
+        .outputOptions(["-ac", "1", "-ar", "48000", "-b:a", "32k", "-application", "voip", "-f", "ogg"])
+        .on("error", rej).on("end", res)
+        .save(out)
+    );
+    return fs.readFileSync(out);
+  } finally {
+    rmFiles([src, out]);
+  }
+}
+
+/* several MP3 buffers → one MP3 buffer (stream copy, no re-encode) */
+export async function concat(buffers) {
+  if (buffers.length === 1) return buffers[0];
+  const files = buffers.map(() => tmpFile(".mp3"));
+  const list  = tmpFile(".txt");
+  const out   = tmpFile(".mp3");
+  try {
+    files.forEach((f, i) => fs.writeFileSync(f, buffers[i]));
+    fs.writeFileSync(list, files.map(f => `file '${f}'`).join("\n"));
+    await new Promise((res, rej) =>
+      ffmpeg(list).inputOptions(["-f", "concat", "-safe", "0"])
+        .outputOptions(["-c", "copy"])
+        .on("error", rej).on("end", res)
+        .save(out)
+    );
+    return fs.readFileSync(out);
+  } finally {
+    rmFiles([...files, list, out]);
+  }
+}
+
+/* Promise.all with at most `n` in flight, results in input order */
+export async function mapLimit(items, n, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(n, items.length) }, worker));
+  return out;
+}
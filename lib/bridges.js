@@ -0,0 +1,102 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/bridges.js  –  two-person translated chats
+
+   A bridge links an inviter and an invitee. While it's active every
+   message either side sends to the bot is translated and relayed to the
+   other side (server.js does the relaying). Usage is billed to the
+   inviter.
+
+   pending → active → ended      (pending expires after INVITE_TTL_DAYS)
+────────────────────────────────────────────────────────────────────── */
+import { randomInt } from "crypto";
+
+const INVITE_TTL_DAYS = 7;
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";     // no 0/O, 1/I
+
+export const newCode = (n = 6) =>
+  Array.from({ length: n }, () => ALPHABET[randomInt(ALPHABET.length)]).join("");
+
+/* "+506 8888-8888" → "whatsapp:+50688888888", junk → null */
+export function toAddress(raw, prefix = "whatsapp:") {
+  const digits = String(raw || "").replace(/\D/g, "");
+  return digits.length >= 7 && digits.length <= 15 ? `${prefix}+${digits}` : null;
+}
+
+export function createBridges({ supabase, table = "bridges" }) {
+  const q = () => supabase.from(table);
+  const must = ({ data, error }) => { if (error) throw error; return data; };
+  const fresh = () => new Date(Date.now() - INVITE_TTL_DAYS * 864e5).toISOString();
+
+  const activeOf = userIds =>
+    q().select("*").eq("status", "active")
+      .or(userIds.map(id => `inviter_id.eq.${id},invitee_id.eq.${id}`).join(","));
+
+  /* the active bridge this user is part of, if any (the oldest, should a
+     race ever have left two – "end" must still work) */
+  const activeFor = async userId =>
+    (must(await activeOf([userId])
+      .order("accepted_at", { ascending: true })
+      .order("id", { ascending: true })
+      .limit(1)))[0] || null;
+
+  const invite = async (inviter, inviteePhone = null) =>
+    must(await q()
+      .insert({ inviter_id: inviter.id, invitee_phone: inviteePhone, code: newCode(), status: "pending" })
+      .select()
+      .single());
+
+  /* open invite by code, or the newest one addressed to this phone */
+  const pendingByCode = async code =>
+    must(await q()
+      .select("*")
+      .eq("status", "pending")
+      .eq("code", code.toUpperCase())
+      .gte("created_at", fresh())
+      .maybeSingle());
+
+  const pendingForPhone = async phone =>
+    (must(await q()
+      .select("*")
+      .eq("status", "pending")
+      .eq("invitee_phone", phone)
+      .gte("created_at", fresh())
+      .order("created_at", { ascending: false })
+      .limit(1)))[0] || null;
+
+  /* pending → active; null if someone else got there first */
+  const accept = async (bridge, invitee) =>
+    must(await q()
+      .update({ status: "active", invitee_id: invitee.id, accepted_at: new Date().toISOString() })
+      .eq("id", bridge.id)
+      .eq("status", "pending")
+      .select()
+      .maybeSingle());
+
+  /* after accept(): true if `bridge` is the only active one of both sides.
+     Two invites accepted at once both reach here; the earlier accepted one
+     wins on both sides and the other is ended again (→ false). */
+  async function settle(bridge) {
+    const live = must(await activeOf([bridge.inviter_id, bridge.invitee_id]));
+    const first = live.sort((a, b) =>
+      a.accepted_at.localeCompare(b.accepted_at) || a.id.localeCompare(b.id))[0];
+    if (first.id === bridge.id) return true;
+    await end(bridge);
+    return false;
+  }
+
+  /* the rest of these users' open invites, once one of them is connected */
+  const cancelPending = async userIds =>
+    must(await q()
+      .update({ status: "ended", ended_at: new Date().toISOString() })
+      .eq("status", "pending")
+      .in("inviter_id", userIds));
+
+  const end = async bridge =>
+    must(await q()
+      .update({ status: "ended", ended_at: new Date().toISOString() })
+      .eq("id", bridge.id)
+      .select()
+      .maybeSingle());
+
+  return { activeFor, invite, pendingByCode, pendingForPhone, accept, settle, cancelPending, end };
+}
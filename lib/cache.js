@@ -0,0 +1,124 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/cache.js  –  content-addressed result cache
+
+   in-memory LRU  →  persistent store (Supabase cache_entries)  →  compute
+   Every entry carries a TTL; hits / misses are counted per cache so
+   server.js can report hit rates. The Supabase store seals text values
+   with seal() / open() (lib/privacy.js) – a cached translation is the
+   user's text too.
+────────────────────────────────────────────────────────────────────── */
+import { createHash } from "crypto";
+
+/* same words, same key: NFC, trimmed, single spaces */
+export const normalize = s => String(s ?? "").normalize("NFC").replace(/\s+/g, " ").trim();
+
+export const cacheKey = (...parts) =>
+  createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+
+/* ── persistent stores: get(key) → value | undefined, set(key, value, expiresAt),
+      sweep() → expired entries removed (reads already skip them)          ── */
+
+export function supabaseStore(supabase, table = "cache_entries", { seal = s => s, open = s => s } = {}) {
+  return {
+    async get(key) {
+      const { data, error } = await supabase
+        .from(table).select("value, expires_at").eq("key", key).maybeSingle();
+      if (error || !data) return undefined;
+      if (Date.parse(data.expires_at) <= Date.now()) return undefined;
+      return open(data.value);
+    },
+    async set(key, value, expiresAt) {
+      const { error } = await supabase.from(table).upsert({
+        key, value: typeof value === "string" ? seal(value) : value, expires_at: new Date(expiresAt).toISOString()
+      });
+      if (error) console.error("cache store set:", error.message);
+    },
+    async sweep() {
+      const { data, error } = await supabase
+        .from(table).delete().lt("expires_at", new Date().toISOString()).select("key");
+      if (error) throw error;
+      return data.length;
+    }
+  };
+}
+
+export function memoryStore() {
+  const m = new Map();
+  return {
+    async get(key) {
+      const e = m.get(key);
+      return e && e.expiresAt > Date.now() ? e.value : undefined;
+    },
+    async set(key, value, expiresAt) { m.set(key, { value, expiresAt }); },
+    async sweep() {
+      let n = 0;
+      for (const [key, e] of m) if (e.expiresAt <= Date.now()) { m.delete(key); n++; }
+      return n;
+    }
+  };
+}
+
+/* ── cache ─────────────────────────────────────────────────────────── */
+export function createCache({ name, store = memoryStore(), max = 500, ttlMs = 30 * 864e5 }) {
+  const lru = new Map();               // insertion order = recency
+  const stats = { hits: 0, storeHits: 0, misses: 0 };
+  const pending = new Map();           // key → Promise, so concurrent misses compute once
+
+  function remember(key, value, expiresAt) {
+    lru.delete(key);
+    lru.set(key, { value, expiresAt });
+    if (lru.size > max) lru.delete(lru.keys().next().value);
+  }
+
+  async function get(key) {
+    const e = lru.get(key);
+    if (e && e.expiresAt > Date.now()) {
+      remember(key, e.value, e.expiresAt);
+      stats.hits++;
+      return e.value;
+    }
+    lru.delete(key);
+
+    const value = await store.get(key).catch(() => undefined);
+    if (value !== undefined) {
+      remember(key, value, Date.now() + ttlMs);
+      stats.storeHits++;
+      return value;
+    }
+    return undefined;
+  }
+
+  async function set(key, value) {
+    const expiresAt = Date.now() + ttlMs;
+    remember(key, value, expiresAt);
+    await store.set(key, value, expiresAt).catch(e => console.error(`cache ${name} set:`, e.message));
+  }
+
+  /* get-or-compute; failures are not cached */
+  async function wrap(key, compute) {
+    if (pending.has(key)) return pending.get(key);
+    const hit = await get(key);
+    if (hit !== undefined) return hit;
+    if (pending.has(key)) return pending.get(key);
+
+    stats.misses++;
+    const p = (async () => {
+      const value = await compute();
+      await set(key, value);
+      return value;
+    })().finally(() => pending.delete(key));
+    pending.set(key, p);
+    return p;
+  }
+
+  function report() {
+    const hits  = stats.hits + stats.storeHits;
+    const total = hits + stats.misses;
+    return {
+      name, ...stats, size: lru.size,
+      rate: total ? Math.round((hits / total) * 100) : null
+    };
+  }
+
+  return { name, get, set, wrap, report };
+}
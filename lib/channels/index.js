@@ -0,0 +1,32 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/channels/index.js  –  one entry point for every messaging channel
+
+   An address names its channel:  whatsapp:+506…  ·  +1…  ·  telegram:123
+   Adapters normalize inbound messages (parse) and send outbound
+   { to, body | mediaUrl | contentSid, choices } in their own API.
+   Each one says what it can do:
+     windowed     WhatsApp's 24 h rule applies (templates outside it)
+     tracked      delivery arrives later via status callback
+     voiceFormat  "ogg" (voice note) or "mp3"
+────────────────────────────────────────────────────────────────────── */
+import { whatsapp, sms } from "./twilio.js";
+import telegram from "./telegram.js";
+
+export { WHATSAPP_FROM, parse as parseTwilio } from "./twilio.js";
+export { parse as parseTelegram } from "./telegram.js";
+
+const ALL = [whatsapp, telegram, sms];
+
+/* unknown shapes are treated as WhatsApp – the original channel */
+export const of      = address => ALL.find(c => c.owns(String(address || ""))) || whatsapp;
+export const send    = (msg, o) => of(msg.to).send(msg, o);
+export const display = address => of(address).display(String(address || ""));
+
+/* attachment URL → { url, headers } to download it with */
+export async function media(url) {
+  for (const c of ALL) {
+    const r = await c.media?.(url);
+    if (r) return r;
+  }
+  return { url, headers: {} };
+}
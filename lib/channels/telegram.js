@@ -0,0 +1,86 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/channels/telegram.js  –  Telegram Bot API
+
+   • addresses are "telegram:<chat id>"
+   • inbound: the update posted to /telegram-webhook; tapped inline
+     buttons (callback_query) arrive as their id, like typed numbers
+   • attachments are kept as "tgfile:<file_id>" and only turned into a
+     download URL (which contains the bot token) when fetched
+   • .ogg goes out as a voice note, .mp3 as audio
+────────────────────────────────────────────────────────────────────── */
+import path from "path";
+import { postJson } from "../providers/http.js";
+
+const { TELEGRAM_BOT_TOKEN } = process.env;
+
+const call = async (method, payload) =>
+  (await postJson(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`, payload)).result;
+
+const PREFIX = "telegram:";
+const chatOf = address => address.slice(PREFIX.length);
+
+/* the biggest file in a message, with a content type classify() knows */
+function fileOf(m) {
+  if (m.voice)      return { id: m.voice.file_id,      type: m.voice.mime_type || "audio/ogg" };
+  if (m.audio)      return { id: m.audio.file_id,      type: m.audio.mime_type || "audio/mpeg" };
+  if (m.video_note) return { id: m.video_note.file_id, type: "video/mp4" };
+  if (m.video)      return { id: m.video.file_id,      type: m.video.mime_type || "video/mp4" };
+  if (m.document)   return { id: m.document.file_id,   type: m.document.mime_type || "" };
+  if (m.photo)      return { id: m.photo.at(-1).file_id, type: "image/jpeg" };
+  return null;
+}
+
+/* update → { from, text, media, sid }, or null for updates we ignore */
+export async function parse(update = {}) {
+  const cb = update.callback_query;
+  if (cb?.message) {
+    await call("answerCallbackQuery", { callback_query_id: cb.id }).catch(() => {});
+    return { from: PREFIX + cb.message.chat.id, text: String(cb.data || ""), media: [], sid: `tg:cb:${cb.id}` };
+  }
+  const m = update.message;
+  if (!m?.chat) return null;
+  const file = fileOf(m);
+  return {
+    from : PREFIX + m.chat.id,
+    text : (m.text || m.caption || "").trim(),
+    media: file ? [{ url: `tgfile:${file.id}`, type: file.type }] : [],
+    sid  : `tg:${m.chat.id}:${m.message_id}`
+  };
+}
+
+/* inline keyboard: up to 3 side by side, longer lists one per row */
+const keyboard = choices =>
+  choices.length <= 3
+    ? [choices.map(c => ({ text: c.title, callback_data: c.id }))]
+    : choices.map(c => [{ text: c.title, callback_data: c.id }]);
+
+const MEDIA_METHODS = { ".ogg": ["sendVoice", "voice"], ".mp3": ["sendAudio", "audio"] };
+
+export default {
+  name       : "telegram",
+  owns       : a => a.startsWith(PREFIX),
+  display    : a => `Telegram ${chatOf(a)}`,
+  voiceFormat: "ogg",
+
+  async send(msg) {
+    const chat_id = chatOf(msg.to);
+    if (msg.mediaUrl) {
+      const url = [].concat(msg.mediaUrl)[0];
+      const [method, field] = MEDIA_METHODS[path.extname(new URL(url).pathname)] || ["sendDocument", "document"];
+      const r = await call(method, { chat_id, [field]: url });
+      return { sid: null, id: r.message_id };
+    }
+    const r = await call("sendMessage", {
+      chat_id, text: msg.body,
+      ...(msg.choices && { reply_markup: { inline_keyboard: keyboard(msg.choices) } })
+    });
+    return { sid: null, id: r.message_id };
+  },
+
+  /* "tgfile:<id>" → a download URL */
+  async media(url) {
+    if (!url.startsWith("tgfile:")) return null;
+    const f = await call("getFile", { file_id: url.slice("tgfile:".length) });
+    return { url: `https://api.telegram.org/file/bot${TELEGRAM_BOT_TOKEN}/${f.file_path}`, headers: {} };
+  }
+};
@@ -0,0 +1,75 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/channels/twilio.js  –  WhatsApp and SMS/MMS through Twilio
+
+   Both arrive on /webhook with the same form fields; the address tells
+   them apart: "whatsapp:+506…" vs plain "+1…". SMS goes out from
+   TWILIO_SMS_NUMBER (default: the WhatsApp sender's number).
+────────────────────────────────────────────────────────────────────── */
+import twilio from "twilio";
+import { attachments } from "../media.js";
+import { replyText }   from "../whatsapp.js";
+
+const {
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_PHONE_NUMBER = "",
+  TWILIO_SMS_NUMBER
+} = process.env;
+
+let client = null;
+const api = () => (client ||= twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN));
+
+const bare = n => n.replace(/^whatsapp:/, "");
+export const WHATSAPP_FROM = `whatsapp:${bare(TWILIO_PHONE_NUMBER)}`;
+const SMS_FROM = TWILIO_SMS_NUMBER || bare(TWILIO_PHONE_NUMBER);
+
+/* Twilio's inbound form → { from, text, media, sid } */
+export const parse = (body = {}) => ({
+  from : body.From,
+  text : replyText(body),                  // tapped button / list row → its number
+  media: attachments(body),
+  sid  : body.MessageSid
+});
+
+/* { to, body | mediaUrl | contentSid } → { sid } */
+const sender = from => async (msg, { statusCallback } = {}) => {
+  const p = { from, to: msg.to };
+  if (msg.contentSid) {
+    p.contentSid = msg.contentSid;
+    if (msg.contentVariables) p.contentVariables = msg.contentVariables;
+  } else if (msg.mediaUrl) {
+    p.mediaUrl = [].concat(msg.mediaUrl);
+  } else {
+    p.body = msg.body;
+  }
+  if (statusCallback) p.statusCallback = statusCallback;
+  const m = await api().messages.create(p);
+  return { sid: m.sid };
+};
+
+/* MediaUrl0… need the account's credentials */
+const media = url =>
+  /^https:\/\/api\.twilio\.com\//.test(url)
+    ? { url, headers: { Authorization: `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString("base64")}` } }
+    : null;
+
+export const whatsapp = {
+  name       : "whatsapp",
+  owns       : a => a.startsWith("whatsapp:"),
+  display    : a => a.slice("whatsapp:".length),
+  send       : sender(WHATSAPP_FROM),
+  media,
+  windowed   : true,                      // 24 h rule, templates outside it
+  tracked    : true,                      // status callbacks
+  voiceFormat: "ogg"
+};
+
+export const sms = {
+  name       : "sms",
+  owns       : a => /^\+\d+$/.test(a),
+  display    : a => a,
+  send       : sender(SMS_FROM),
+  media,
+  tracked    : true,
+  voiceFormat: "mp3"                      // MMS plays MP3, not Opus
+};
@@ -0,0 +1,47 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/chunk.js  –  split long text into sentence-sized pieces
+
+   Translation models cap their output and Google TTS caps its input, so
+   long transcripts go through in pieces of at most `max` characters,
+   cut between sentences (Intl.Segmenter knows the rules per language),
+   or between words when a single sentence is too long.
+────────────────────────────────────────────────────────────────────── */
+
+const NO_SPACES = new Set(["zh", "ja"]);   // scripts that don't put spaces between sentences
+
+function segmenter(lang) {
+  try { return new Intl.Segmenter(lang || "en", { granularity: "sentence" }); }
+  catch { return new Intl.Segmenter("en", { granularity: "sentence" }); }
+}
+
+/* a sentence longer than max → word-sized cuts (hard cut if no spaces) */
+function wrap(s, max) {
+  const out = [];
+  while (s.length > max) {
+    const cut = s.lastIndexOf(" ", max);
+    const at  = cut > max / 2 ? cut + 1 : max;
+    out.push(s.slice(0, at));
+    s = s.slice(at);
+  }
+  return s ? [...out, s] : out;
+}
+
+export function chunkText(text, max, lang) {
+  if (text.length <= max) return [text];
+  const out = [];
+  let cur = "";
+  for (const { segment } of segmenter(lang).segment(text)) {
+    for (const piece of segment.length > max ? wrap(segment, max) : [segment]) {
+      if (cur && cur.length + piece.length > max) {
+        out.push(cur.trim());
+        cur = "";
+      }
+      cur += piece;
+    }
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+/* glue translated pieces back together */
+export const joinChunks = (pieces, lang) => pieces.join(NO_SPACES.has(lang) ? "" : " ");
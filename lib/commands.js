@@ -0,0 +1,70 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/commands.js  –  messages that are instructions, not text to translate
+
+   • each command lists its words per UI language; English always works
+     too, the user's own language (target_lang) on top of it
+   • a message is a command only when it is exactly one of those words,
+     or word + argument for commands that take one – ordinary sentences
+     are never swallowed
+   • commands with odd shapes ("invite +506…", "1") bring a test()
+   • in a bridge or room (ctx.chatting) messages are for the others, so
+     "cuenta" or "ton" there is a word to translate: only commands marked
+     `chat: true` (leaving, the bridge / room ones, data requests) run
+   • handlers live in server.js; returning false passes the message on
+     to the next matching command, and finally to translation
+────────────────────────────────────────────────────────────────────── */
+
+/* "  Répéter " → "repeter": case, accents and spacing don't matter */
+export const fold = s =>
+  String(s ?? "").normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().replace(/\s+/g, " ").trim();
+
+export function createCommands() {
+  const list = [];
+
+  /* { name, words: { en: [...], es: [...] }, args: false | "optional" | "required",
+       test(text) (instead of words), chat, usage, help: "<i18n key>", run(ctx) } */
+  function add(cmd) {
+    list.push({ args: false, ...cmd });
+    return api;
+  }
+
+  const wordsFor = (cmd, locale) =>
+    [...(cmd.words?.en || []), ...((locale !== "en" && cmd.words?.[locale]) || [])].map(fold);
+
+  /* → { arg, raw } if `text` invokes `cmd`, else null. arg is folded
+     like the words; raw keeps the user's spelling (names, glossary terms) */
+  function matches(cmd, text, locale) {
+    if (cmd.test) return cmd.test(text) ? { arg: "", raw: "" } : null;
+    const msg = fold(text);
+    for (const w of wordsFor(cmd, locale)) {
+      if (msg === w && cmd.args !== "required") return { arg: "", raw: "" };
+      if (cmd.args && msg.startsWith(`${w} `)) {
+        const raw = text.trim().split(/\s+/).slice(w.split(" ").length).join(" ");
+        return { arg: msg.slice(w.length + 1), raw };
+      }
+    }
+    return null;
+  }
+
+  /* run the first matching command that handles it → handled? */
+  async function dispatch(text, ctx) {
+    const locale = ctx.user?.target_lang || "en";
+    for (const cmd of list) {
+      if (ctx.chatting && !cmd.chat) continue;
+      const m = matches(cmd, text, locale);
+      if (!m) continue;
+      if ((await cmd.run({ ...ctx, ...m })) !== false) return true;
+    }
+    return false;
+  }
+
+  /* for "help": [{ usage, help }] with the word the user would type */
+  const helpFor = locale =>
+    list.filter(c => c.help).map(c => ({
+      usage: c.usage || c.words?.[locale]?.[0] || c.words?.en?.[0],
+      help : c.help
+    }));
+
+  const api = { add, dispatch, helpFor };
+  return api;
+}
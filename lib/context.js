@@ -0,0 +1,56 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/context.js  –  recent exchanges as context for the next translation
+
+   "yes, at 5" or "same as before" only translate well next to what came
+   before, so translate() gets the last few lines of the same conversation
+   from the `translations` log:
+
+   • scope: one bridge, one room, or (neither) the user's own chat
+   • speakers: only people who haven't switched memory off
+   • since: nothing older than the latest "forget" of any speaker
+   • bounded by `turns` rows and a rough token budget (≈ 4 chars/token)
+   • logged text may be sealed (lib/privacy.js) – `open` reads it
+────────────────────────────────────────────────────────────────────── */
+
+const tokens = s => Math.ceil(s.length / 4);
+
+/* newest-first rows → the longest chronological tail within `budget` */
+export function fit(rows, budget) {
+  const out = [];
+  let used  = 0;
+  for (const r of rows) {
+    used += tokens(r.original) + tokens(r.translated);
+    if (used > budget) break;
+    out.unshift(r);
+  }
+  return out;
+}
+
+export function createContext({ supabase, turns = 6, budget = 600, open = s => s }) {
+  /* → [{ mine, original, translated }] oldest first, [] when off */
+  async function recent(sender, { bridgeId = null, roomId = null, lang = null, others = [] } = {}) {
+    if (sender.context_memory === false || turns <= 0) return [];
+    const people = [sender, ...others].filter(u => u.context_memory !== false);
+    const since  = people.map(u => u.context_since).filter(Boolean).sort().pop();
+
+    let q = supabase
+      .from("translations")
+      .select("phone_number, original_text, translated_text")
+      .in("phone_number", people.map(u => u.phone_number));
+    q = bridgeId ? q.eq("bridge_id", bridgeId)
+      : roomId   ? q.eq("room_id", roomId)
+      : q.is("bridge_id", null).is("room_id", null);
+    if (lang)  q = q.eq("language_to", lang);     // rooms log one row per language
+    if (since) q = q.gt("created_at", since);
+
+    const { data, error } = await q.order("created_at", { ascending: false }).limit(turns);
+    if (error) throw error;
+    return fit((data || []).map(r => ({
+      mine      : r.phone_number === sender.phone_number,
+      original  : open(r.original_text) || "",
+      translated: open(r.translated_text) || ""
+    })), budget);
+  }
+
+  return { recent };
+}
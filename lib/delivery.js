@@ -0,0 +1,107 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/delivery.js  –  outbound message log, ordering and resends
+
+   • every message we send is a row in `outbound_messages` (sid, to,
+     payload, status); Twilio's status callbacks keep it current
+   • inOrder(): a reply in several parts (transcript, translation, voice
+     note, tutorial tip) goes out one by one – each waits until WhatsApp
+     confirms the previous one landed, or `waitMs` passed. Untracked
+     sends (no status callbacks) wait a fixed `pauseMs` instead
+   • failed / undelivered with a transient error code → retry_at is set
+     with backoff; due() hands those back to be sent again
+   • the logged body and content variables (user text quoted in a
+     prompt) go through seal() / open() (lib/privacy.js)
+────────────────────────────────────────────────────────────────────── */
+
+/* worth another try: queue overflow, unreachable handset (phone off),
+   unknown error, missing segment, WhatsApp rate limit */
+export const TRANSIENT_ERRORS = new Set([30001, 30003, 30008, 30009, 63018]);
+
+const LANDED = new Set(["delivered", "read", "failed", "undelivered"]);
+
+/* callbacks can arrive out of order – never step a status back */
+const RANK = { accepted: 0, queued: 0, sending: 1, sent: 1, delivered: 2, undelivered: 2, failed: 2, read: 3 };
+
+export function createDelivery({
+  supabase, table = "outbound_messages", track = true,
+  waitMs = 8000, maxAttempts = 3, baseDelayMs = 30e3, seal = s => s, open = s => s
+}) {
+  const rows    = () => supabase.from(table);
+  const lanes   = new Map();   // to → promise: the last message to them has landed
+  const waiters = new Map();   // sid → resolve
+  const early   = new Set();   // sids that landed before anyone waited
+
+  const TEXT = ["body", "contentVariables"];
+  const mapText = (payload, f) =>
+    ({ ...payload, ...Object.fromEntries(TEXT.filter(k => payload[k] != null).map(k => [k, f(payload[k])])) });
+
+  function landing(sid) {
+    if (early.delete(sid)) return Promise.resolve();
+    return new Promise(res => {
+      const done = () => { waiters.delete(sid); clearTimeout(timer); res(); };
+      const timer = setTimeout(done, waitMs);
+      waiters.set(sid, done);
+    });
+  }
+
+  function landed(sid) {
+    const w = waiters.get(sid);
+    if (w) return w();
+    early.add(sid);
+    setTimeout(() => early.delete(sid), waitMs).unref?.();
+  }
+
+  /* send() (→ Twilio message) once the previous message to `to` landed */
+  function inOrder(to, send, { tracked = track, pauseMs = 0 } = {}) {
+    const prev = lanes.get(to) || Promise.resolve();
+    const sent = prev.then(send);
+    const lane = sent.then(m =>
+      tracked && m?.sid ? landing(m.sid) :
+      pauseMs           ? new Promise(r => setTimeout(r, pauseMs)) :
+      undefined, () => {});
+    lanes.set(to, lane);
+    lane.then(() => { if (lanes.get(to) === lane) lanes.delete(to); });
+    return sent;
+  }
+
+  /* log a message Twilio accepted; the log never fails the send */
+  async function sent(sid, payload, attempts = 1) {
+    const { error } = await rows().insert({
+      sid, phone_number: payload.to, payload: mapText(payload, seal), status: "queued", attempts
+    });
+    if (error) console.error("outbound log:", error.message);
+  }
+
+  /* status callback → row updated; transient failures scheduled again */
+  async function status({ sid, status, errorCode = null }) {
+    if (LANDED.has(status)) landed(sid);
+    const { data: row, error } = await rows().select("*").eq("sid", sid).maybeSingle();
+    if (error) throw error;
+    if (!row || (RANK[status] ?? 0) < (RANK[row.status] ?? 0)) return;
+
+    const code  = errorCode ? Number(errorCode) : null;
+    const patch = { status, error_code: code, updated_at: new Date().toISOString() };
+    if (status === "failed" || status === "undelivered") {
+      const again = TRANSIENT_ERRORS.has(code) && row.attempts < maxAttempts;
+      console.warn(`📭 ${status} to ${row.phone_number} (${code ?? "no code"})` +
+        (again ? ` – retry ${row.attempts + 1}/${maxAttempts}` : ""));
+      if (again) patch.retry_at = new Date(Date.now() + baseDelayMs * 2 ** (row.attempts - 1)).toISOString();
+    }
+    const up = await rows().update(patch).eq("sid", sid);
+    if (up.error) throw up.error;
+  }
+
+  /* claim the rows whose retry is due → [{ sid, payload, attempts }] */
+  async function due() {
+    const { data, error } = await rows()
+      .update({ retry_at: null })
+      .lte("retry_at", new Date().toISOString())
+      .select("sid, payload, attempts");
+    if (error) throw error;
+    return (data || []).map(r => ({ ...r, payload: mapText(r.payload, open) }));
+  }
+
+  const retried = (sid, newSid) => rows().update({ retried_as: newSid }).eq("sid", sid);
+
+  return { inOrder, sent, status, due, retried };
+}
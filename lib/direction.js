@@ -0,0 +1,30 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/direction.js  –  which way to translate a message, or whether to ask
+
+   A user has two languages: their own (target_lang) and their contact's
+   (source_lang). A detection decides the direction only when it names one
+   of them with enough confidence:
+
+   • own ↔ contact language, confident   → { dest }
+   • a third language, confident, long   → { third }   (translated into their own)
+   • anything unsure (short, names, mixed) → { ask }   ("1️⃣ → X  2️⃣ → Y?")
+
+   Emoji, numbers, links and punctuation alone are not translated at all.
+────────────────────────────────────────────────────────────────────── */
+
+const LINKS = /\bhttps?:\/\/\S+|\bwww\.\S+/giu;
+
+/* letters left once links are gone – 0 means nothing to translate */
+export const letters = (text = "") => (text.replace(LINKS, "").match(/\p{L}/gu) || []).length;
+
+export const translatable = text => letters(text) > 0;
+
+/* { lang, confidence } → { dest } | { third } | { ask }
+   confidence null = the provider doesn't say (Whisper, DeepL): trusted */
+export function decide(user, { lang, confidence = null }, text = "", { min = 0.5, thirdLetters = 12 } = {}) {
+  const sure = lang && (confidence == null || confidence >= min);
+  if (sure && lang === user.target_lang) return { dest: user.source_lang };
+  if (sure && lang === user.source_lang) return { dest: user.target_lang };
+  if (sure && letters(text) >= thirdLetters) return { third: lang };
+  return { ask: true };
+}
@@ -0,0 +1,57 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/glossary.js  –  a user's own terms in every translation
+
+   entries: [{ term: "Tico", render: null }]        null  = never translate
+            [{ term: "abuela", render: "Grandma" }]        = always this
+
+   Terms go into the translator's instructions; afterwards violations()
+   checks the result, and shield()/unshield() force them through with
+   ⟦g0⟧ markers when a provider ignored them.
+────────────────────────────────────────────────────────────────────── */
+
+export const MAX_ENTRIES = 50;
+
+const esc    = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const termRe = (term, flags = "iu") => new RegExp(`(?<![\\p{L}\\p{N}])${esc(term)}(?![\\p{L}\\p{N}])`, flags);
+const same   = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/* entries that occur in this text */
+export const used = (text, glossary = []) => glossary.filter(g => termRe(g.term).test(text));
+
+export const expected = g => g.render || g.term;
+
+/* entries from the source whose rendering is missing in the translation */
+export const violations = (source, translated, glossary = []) =>
+  used(source, glossary).filter(g => !termRe(expected(g)).test(translated));
+
+/* terms → ⟦g0⟧ … (longest first, so "New York City" beats "New York") */
+export function shield(text, glossary = []) {
+  const saved = [];
+  let out = text;
+  for (const g of [...glossary].sort((a, b) => b.term.length - a.term.length)) {
+    out = out.replace(termRe(g.term, "giu"), () => `⟦g${saved.push(expected(g)) - 1}⟧`);
+  }
+  return { out, saved };
+}
+
+/* markers → renderings; null if the translator dropped one */
+export function unshield(text, saved) {
+  const seen = new Set();
+  const back = text.replace(/⟦g(\d+)⟧/g, (m, i) => (seen.add(+i), saved[+i] ?? m));
+  return saved.every((_, i) => seen.has(i)) ? back : null;
+}
+
+/* "Tico" | "abuela = Grandma" | "abuela → Grandma" → entry, or null */
+export function parseEntry(raw = "") {
+  const [term, render] = raw.split(/\s*(?:=|→|->)\s*/, 2).map(s => s?.trim());
+  if (!term || term.length > 60 || (render && render.length > 60)) return null;
+  return { term, render: render || null };
+}
+
+export const upsert = (glossary = [], entry) =>
+  [...glossary.filter(g => !same(g.term, entry.term)), entry];
+
+export const remove = (glossary = [], term) =>
+  glossary.filter(g => !same(g.term, term));
+
+export const has = (glossary = [], term) => glossary.some(g => same(g.term, term));
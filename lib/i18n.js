@@ -0,0 +1,98 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/i18n.js  –  bot UI strings from locales/<code>.json
+
+   • en.json is the source of truth, every other file is a reviewed
+     translation of it
+   • a locale (or key) we have no file for is machine-translated once,
+     then cached in memory and in Supabase (ui_translations)
+   • locales/reviewed.json remembers which English text each reviewed
+     string was translated from → `npm run i18n:check` flags stale ones
+────────────────────────────────────────────────────────────────────── */
+import fs             from "fs";
+import { createHash } from "crypto";
+
+export const SOURCE = "en";
+const DIR = new URL("../locales/", import.meta.url);
+
+export const hash = s => createHash("sha1").update(s).digest("hex").slice(0, 8);
+
+export const placeholders = s =>
+  [...new Set([...s.matchAll(/\{(\w+)\}/g)].map(m => m[1]))].sort();
+
+export const fill = (s, vars = {}) =>
+  s.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+
+/* { en: {key: text}, es: {...}, … } – reviewed.json is bookkeeping, not a locale */
+export function loadCatalog() {
+  return Object.fromEntries(
+    fs.readdirSync(DIR)
+      .filter(f => /^[a-z]{2,3}\.json$/.test(f))
+      .map(f => [f.slice(0, -5), JSON.parse(fs.readFileSync(new URL(f, DIR), "utf8"))])
+  );
+}
+
+export function loadReviewed() {
+  try { return JSON.parse(fs.readFileSync(new URL("reviewed.json", DIR), "utf8")); }
+  catch { return {}; }
+}
+
+/* Words the machine translator must leave alone: placeholders and the
+   literal commands users type. Swapped for ⟦n⟧ markers and back. */
+const PROTECTED = /\{\w+\}|\breset source\b|\bdelete my data\b|\broom(?: (?:create|join|leave|nick))?\b|\bmp3 o(?:n|ff)\b|(?<=\*)(?:help|history|repeat|voice|swap|settings|tone|glossary|forget|memory|link|unlink|mydata)\b|\b(?:reset|billing|invite|join|end)\b/g;
+
+function protect(text) {
+  const saved = [];
+  const out = text.replace(PROTECTED, m => `⟦${saved.push(m) - 1}⟧`);
+  return { out, saved };
+}
+
+function restore(text, saved) {
+  const back = text.replace(/⟦(\d+)⟧/g, (m, i) => saved[+i] ?? m);
+  return saved.every(s => back.includes(s)) ? back : null;   // marker lost → unusable
+}
+
+export function createI18n({ translate, supabase, table = "ui_translations" }) {
+  const catalog = loadCatalog();
+  const memo    = new Map();                 // "it:ready:ab12cd34" → text
+
+  async function machine(key, locale, en) {
+    const h  = hash(en);
+    const id = `${locale}:${key}:${h}`;
+    if (memo.has(id)) return memo.get(id);
+
+    const { data } = await supabase
+      .from(table).select("text")
+      .eq("locale", locale).eq("key", key).eq("source_hash", h)
+      .maybeSingle();
+    if (data) { memo.set(id, data.text); return data.text; }
+
+    const { out, saved } = protect(en);
+    const text = restore(await translate(out, locale), saved);
+    if (!text) return en;
+
+    memo.set(id, text);
+    await supabase.from(table).upsert(
+      { locale, key, source_hash: h, text },
+      { onConflict: "locale,key" }
+    );
+    return text;
+  }
+
+  /* t("source.changed", "es", { lang: "Deutsch" }) */
+  async function t(key, locale = SOURCE, vars = {}) {
+    const en = catalog[SOURCE][key];
+    if (en === undefined) throw new Error(`i18n: unknown key "${key}"`);
+
+    const loc = (locale || SOURCE).toLowerCase();
+    let str = catalog[loc]?.[key];
+    if (str === undefined) {
+      str = loc === SOURCE ? en : await machine(key, loc, en).catch(e => {
+        console.error(`i18n MT ${loc}/${key}:`, e.message);
+        return en;
+      });
+    }
+    return fill(str, vars);
+  }
+
+  return { t, locales: Object.keys(catalog) };
+}
@@ -0,0 +1,61 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/identity.js  –  one user, several channels
+
+   users.phone_number is the primary address (where billing notices go).
+   Further addresses – SMS, Telegram, a second WhatsApp – point at the
+   same users row through `user_channels`, so plan, usage and settings
+   are shared. Linking: "link" on the known channel → short code, then
+   "link CODE" from the new one within LINK_TTL_MIN.
+────────────────────────────────────────────────────────────────────── */
+import { newCode } from "./bridges.js";
+
+const LINK_TTL_MIN = 15;
+
+export function createIdentity({ supabase }) {
+  const must = ({ data, error }) => { if (error) throw error; return data; };
+
+  /* address → users row. A link wins over an account the address had of
+     its own before it was linked (that one is simply no longer used). */
+  async function find(address) {
+    const link = must(await supabase
+      .from("user_channels").select("user:users!inner(*)").eq("address", address).maybeSingle());
+    if (link) return link.user;
+    return must(await supabase.from("users").select("*").eq("phone_number", address).maybeSingle());
+  }
+
+  async function issueCode(user) {
+    const code = newCode();
+    must(await supabase.from("link_codes").insert({
+      code, user_id: user.id, expires_at: new Date(Date.now() + LINK_TTL_MIN * 60e3).toISOString()
+    }));
+    return code;
+  }
+
+  /* CODE + new address → the user it now belongs to, or null (bad / expired) */
+  async function redeem(code, address) {
+    const row = must(await supabase
+      .from("link_codes").delete()
+      .eq("code", code.toUpperCase())
+      .gt("expires_at", new Date().toISOString())
+      .select("user_id")
+      .maybeSingle());
+    if (!row) return null;
+    const user = must(await supabase.from("users").select("*").eq("id", row.user_id).single());
+    if (user.phone_number !== address) {
+      must(await supabase.from("user_channels")
+        .upsert({ address, user_id: user.id }, { onConflict: "address" }));
+    }
+    return user;
+  }
+
+  /* → false if the address wasn't linked (e.g. it is the primary one) */
+  async function unlink(address) {
+    const gone = must(await supabase.from("user_channels").delete().eq("address", address).select());
+    return gone.length > 0;
+  }
+
+  const addresses = async userId =>
+    must(await supabase.from("user_channels").select("address").eq("user_id", userId)).map(r => r.address);
+
+  return { find, issueCode, redeem, unlink, addresses, LINK_TTL_MIN };
+}
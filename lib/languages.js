@@ -0,0 +1,112 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/languages.js  –  the one list of languages TuCanChat speaks
+
+   code   ISO-639-1, what we store in users.source_lang / target_lang
+   name   English name (prompts, logs)
+   native how speakers write it (menus)
+   speak  "I speak …" line for the very first welcome message
+   voice  preferred Google TTS locale, null = no voice available
+   rtl    right-to-left script
+   alias  extra spellings people type ("espanol", "deutsch" …)
+────────────────────────────────────────────────────────────────────── */
+
+export const LANGUAGES = [
+  { code:"en", name:"English",    native:"English",          flag:"🇺🇸", speak:"I speak English",               voice:"en-US",  rtl:false, alias:["ingles","inglés","anglais","englisch","inglês"] },
+  { code:"es", name:"Spanish",    native:"Español",          flag:"🇪🇸", speak:"Hablo español",                 voice:"es-ES",  rtl:false, alias:["espanol","espagnol","spanisch","espanhol","castellano"] },
+  { code:"fr", name:"French",     native:"Français",         flag:"🇫🇷", speak:"Je parle français",             voice:"fr-FR",  rtl:false, alias:["francais","frances","francés","französisch","francês"] },
+  { code:"pt", name:"Portuguese", native:"Português",        flag:"🇧🇷", speak:"Eu falo português",             voice:"pt-BR",  rtl:false, alias:["portugues","portugués","portugais","portugiesisch"] },
+  { code:"de", name:"German",     native:"Deutsch",          flag:"🇩🇪", speak:"Ich spreche Deutsch",           voice:"de-DE",  rtl:false, alias:["aleman","alemán","allemand","alemão"] },
+  { code:"it", name:"Italian",    native:"Italiano",         flag:"🇮🇹", speak:"Parlo italiano",                voice:"it-IT",  rtl:false, alias:["italien","italienisch"] },
+  { code:"ar", name:"Arabic",     native:"العربية",          flag:"🇸🇦", speak:"أتكلم العربية",                 voice:"ar-XA",  rtl:true,  alias:["arabe","árabe","arabisch"] },
+  { code:"hi", name:"Hindi",      native:"हिन्दी",             flag:"🇮🇳", speak:"मुझे हिन्दी आती है",               voice:"hi-IN",  rtl:false, alias:[] },
+  { code:"zh", name:"Chinese",    native:"中文",              flag:"🇨🇳", speak:"我说中文",                       voice:"cmn-CN", rtl:false, alias:["mandarin","chino","chinois","chinesisch","chinês"] },
+  { code:"tl", name:"Tagalog",    native:"Tagalog",          flag:"🇵🇭", speak:"Nagsasalita ako ng Tagalog",    voice:"fil-PH", rtl:false, alias:["filipino"] },
+  { code:"ja", name:"Japanese",   native:"日本語",            flag:"🇯🇵", speak:"日本語を話します",                voice:"ja-JP",  rtl:false, alias:["japones","japonés","japonais","japanisch"] },
+  { code:"ko", name:"Korean",     native:"한국어",            flag:"🇰🇷", speak:"한국어를 합니다",                  voice:"ko-KR",  rtl:false, alias:["coreano","coréen","koreanisch"] },
+  { code:"ru", name:"Russian",    native:"Русский",          flag:"🇷🇺", speak:"Я говорю по-русски",            voice:"ru-RU",  rtl:false, alias:["ruso","russe","russisch","russo"] },
+  { code:"uk", name:"Ukrainian",  native:"Українська",       flag:"🇺🇦", speak:"Я розмовляю українською",       voice:"uk-UA",  rtl:false, alias:["ucraniano","ukrainien","ukrainisch"] },
+  { code:"pl", name:"Polish",     native:"Polski",           flag:"🇵🇱", speak:"Mówię po polsku",               voice:"pl-PL",  rtl:false, alias:["polaco","polonais","polnisch"] },
+  { code:"nl", name:"Dutch",      native:"Nederlands",       flag:"🇳🇱", speak:"Ik spreek Nederlands",          voice:"nl-NL",  rtl:false, alias:["holandes","holandés","néerlandais","niederländisch"] },
+  { code:"tr", name:"Turkish",    native:"Türkçe",           flag:"🇹🇷", speak:"Türkçe konuşuyorum",            voice:"tr-TR",  rtl:false, alias:["turco","turc","türkisch"] },
+  { code:"vi", name:"Vietnamese", native:"Tiếng Việt",       flag:"🇻🇳", speak:"Tôi nói tiếng Việt",            voice:"vi-VN",  rtl:false, alias:["vietnamita","vietnamien"] },
+  { code:"id", name:"Indonesian", native:"Bahasa Indonesia", flag:"🇮🇩", speak:"Saya berbicara bahasa Indonesia", voice:"id-ID", rtl:false, alias:["indonesio","indonésien","bahasa"] },
+  { code:"he", name:"Hebrew",     native:"עברית",            flag:"🇮🇱", speak:"אני מדבר/ת עברית",              voice:"he-IL",  rtl:true,  alias:["hebreo","hébreu","hebräisch"] },
+  { code:"fa", name:"Persian",    native:"فارسی",            flag:"🇮🇷", speak:"من فارسی صحبت می‌کنم",           voice:null,     rtl:true,  alias:["farsi","persa","persan","persisch"] },
+  { code:"ht", name:"Haitian Creole", native:"Kreyòl ayisyen", flag:"🇭🇹", speak:"Mwen pale kreyòl",            voice:null,     rtl:false, alias:["kreyol","creole","criollo","créole"] }
+];
+
+export const PAGE_SIZE = 8;
+export const PAGES     = Math.ceil(LANGUAGES.length / PAGE_SIZE);
+
+const BY_CODE = Object.fromEntries(LANGUAGES.map(l => [l.code, l]));
+export const language    = code => BY_CODE[(code || "").toLowerCase()];
+export const voiceLocale = code => language(code)?.voice ?? null;
+
+/* what a detector / Whisper reports → registry code: "zh-CN" → "zh",
+   Google's legacy "iw" / "jw" / "in" → "he" / "jv" / "id", "fil" → "tl",
+   a language name ("hebrew") → its code. Unknown codes pass through. */
+const LEGACY = { iw: "he", jw: "jv", in: "id", ji: "yi", fil: "tl" };
+const BY_NAME = Object.fromEntries(LANGUAGES.map(l => [l.name.toLowerCase(), l.code]));
+export function langCode(raw) {
+  const s = String(raw || "").trim().toLowerCase();
+  if (BY_NAME[s]) return BY_NAME[s];
+  const base = s.split(/[-_]/)[0];
+  return LEGACY[base] || base;
+}
+export const hasVoice    = code => !!voiceLocale(code);
+
+/* regional voices a user can pick in "settings" – first one = the default
+   above. Google has no es-MX voice; es-US is its Latin-American Spanish. */
+export const ACCENTS = {
+  en: [["en-US", "🇺🇸 United States"], ["en-GB", "🇬🇧 United Kingdom"], ["en-AU", "🇦🇺 Australia"], ["en-IN", "🇮🇳 India"]],
+  es: [["es-ES", "🇪🇸 España"], ["es-US", "🇲🇽 Latinoamérica"]],
+  fr: [["fr-FR", "🇫🇷 France"], ["fr-CA", "🇨🇦 Canada"]],
+  pt: [["pt-BR", "🇧🇷 Brasil"], ["pt-PT", "🇵🇹 Portugal"]],
+  nl: [["nl-NL", "🇳🇱 Nederland"], ["nl-BE", "🇧🇪 België"]],
+  zh: [["cmn-CN", "🇨🇳 中国大陆"], ["cmn-TW", "🇹🇼 台灣"]]
+};
+export const accentsOf = code => ACCENTS[(code || "").toLowerCase()] || [];
+
+/* Unicode RLM so WhatsApp lays RTL lines out right-to-left */
+export const bidi = (text, code) => (language(code)?.rtl ? `\u200F${text}` : text);
+
+/* 1️⃣ … 9️⃣ 🔟, then plain "11." */
+const KEYCAPS = ["0️⃣","1️⃣","2️⃣","3️⃣","4️⃣","5️⃣","6️⃣","7️⃣","8️⃣","9️⃣","🔟"];
+export const keycap = n => KEYCAPS[n] || `${n}.`;
+
+const fold = s => s.toLowerCase().normalize("NFD").replace(/\p{M}/gu, "").trim();
+
+/* Reply → matching languages. A number or an exact name/code returns
+   exactly one; a prefix may return several ("port" → Português). */
+export function searchLanguages(input) {
+  const q = fold(input || "");
+  if (!q) return [];
+  if (/^\d+$/.test(q)) {
+    const l = LANGUAGES[+q - 1];
+    return l ? [l] : [];
+  }
+  const names = l => [l.code, l.name, l.native, ...l.alias].map(fold);
+  const exact = LANGUAGES.filter(l => names(l).includes(q));
+  if (exact.length) return exact;
+  return q.length < 2 ? [] : LANGUAGES.filter(l => names(l).some(n => n.startsWith(q)));
+}
+
+export const isMore = txt => /^(more|m[aá]s|plus|mehr|mais|\+|➡️)$/i.test((txt || "").trim());
+
+const line = l => bidi(`${keycap(LANGUAGES.indexOf(l) + 1)} ${l.flag} ${l.native}`, l.code);
+
+export const languageList = list => list.map(line).join("\n");
+
+/* one page of the picker, with a language-neutral hint underneath */
+export function languageMenu(page = 0, { exclude } = {}) {
+  const p    = ((page % PAGES) + PAGES) % PAGES;
+  const list = LANGUAGES.slice(p * PAGE_SIZE, (p + 1) * PAGE_SIZE).filter(l => l.code !== exclude);
+  return `${languageList(list)}\n\n🔎 123 / abc · *more* ➡️ (${p + 1}/${PAGES})`;
+}
+
+/* first page, spelled out in each language's own words */
+export function welcomeMenu() {
+  const list = LANGUAGES.slice(0, PAGE_SIZE);
+  return list.map(l => bidi(`${keycap(LANGUAGES.indexOf(l) + 1)} ${l.speak} ${l.flag}`, l.code)).join("\n")
+    + `\n\n🔎 123 / abc · *more* ➡️ (1/${PAGES})`;
+}
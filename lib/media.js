@@ -0,0 +1,45 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/media.js  –  what was attached to a message, and can we hear it
+
+   • Twilio posts NumMedia plus MediaUrlN / MediaContentTypeN (N = 0…9)
+   • audio and video containers both go through ffmpeg (toWav in
+     server.js) – a video simply loses its picture
+   • images, PDFs, contacts, locations … are "unsupported": we say so
+     instead of failing the whole message
+────────────────────────────────────────────────────────────────────── */
+
+const MAX_MEDIA = 10;                        // Twilio's own limit per message
+
+/* content type → file extension ffmpeg will recognise */
+const PLAYABLE = {
+  "audio/ogg"      : ".ogg",  "audio/opus"  : ".opus", "audio/mpeg"  : ".mp3",
+  "audio/mp3"      : ".mp3",  "audio/mp4"   : ".m4a",  "audio/m4a"   : ".m4a",
+  "audio/x-m4a"    : ".m4a",  "audio/aac"   : ".aac",  "audio/amr"   : ".amr",
+  "audio/wav"      : ".wav",  "audio/x-wav" : ".wav",  "audio/webm"  : ".webm",
+  "audio/3gpp"     : ".3gp",
+  "video/mp4"      : ".mp4",  "video/3gpp"  : ".3gp",  "video/webm"  : ".webm",
+  "video/quicktime": ".mov"
+};
+
+/* "audio/ogg; codecs=opus" → { kind: "audio", ext: ".ogg" }
+   unknown / missing type   → let ffmpeg sniff it
+   anything else            → { kind: null, type } */
+export function classify(contentType = "") {
+  const type = contentType.split(";")[0].trim().toLowerCase();
+  if (!type || type === "application/octet-stream") return { kind: "audio", ext: ".dat" };
+  if (PLAYABLE[type]) return { kind: type.split("/")[0], ext: PLAYABLE[type] };
+  return { kind: null, type };
+}
+
+/* short human label for a type we skip: "image/jpeg" → "JPEG", "text/x-vcard" → "VCARD" */
+export const label = type =>
+  (type.split("/")[1] || type).replace(/^(?:x-|vnd\.)/, "").split("+")[0].split(".").pop().toUpperCase();
+
+/* webhook body → [{ url, type }] in the order the user attached them */
+export function attachments(body = {}) {
+  const n = Math.min(parseInt(body.NumMedia || "0", 10) || 0, MAX_MEDIA);
+  return Array.from({ length: n }, (_, i) => ({
+    url : body[`MediaUrl${i}`],
+    type: body[`MediaContentType${i}`] || ""
+  })).filter(m => m.url);
+}
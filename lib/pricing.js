@@ -0,0 +1,97 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/pricing.js  –  what each tier costs, straight from Stripe
+
+   • PRICE_MONTHLY / PRICE_ANNUAL / PRICE_LIFE hold a price id (price_…)
+     or a lookup key – with lookup keys a new Price in Stripe is picked
+     up without a redeploy
+   • PRICE_REGIONS (JSON) overrides per country, keyed by ISO code:
+       {"BR":{"monthly":"tucan_monthly_brl","annual":"…","life":"…"}}
+     the country comes from the phone number's calling code
+   • amounts are formatted with Intl for the user's language + country
+────────────────────────────────────────────────────────────────────── */
+
+export const TIERS        = ["monthly", "annual", "life"];
+export const PLAN_BY_TIER = { monthly: "MONTHLY", annual: "ANNUAL", life: "LIFETIME" };
+
+/* calling code → ISO country, longest prefix wins. Only codes with
+   several countries need care: +1 is always "US" here. */
+const COUNTRY_BY_CODE = {
+  1: "US", 7: "RU", 20: "EG", 27: "ZA", 30: "GR", 31: "NL", 32: "BE", 33: "FR", 34: "ES",
+  36: "HU", 39: "IT", 40: "RO", 41: "CH", 43: "AT", 44: "GB", 45: "DK", 46: "SE", 47: "NO",
+  48: "PL", 49: "DE", 51: "PE", 52: "MX", 53: "CU", 54: "AR", 55: "BR", 56: "CL", 57: "CO",
+  58: "VE", 60: "MY", 61: "AU", 62: "ID", 63: "PH", 64: "NZ", 65: "SG", 66: "TH", 81: "JP",
+  82: "KR", 84: "VN", 86: "CN", 90: "TR", 91: "IN", 92: "PK", 98: "IR",
+  351: "PT", 352: "LU", 353: "IE", 380: "UA", 502: "GT", 503: "SV", 504: "HN", 505: "NI",
+  506: "CR", 507: "PA", 509: "HT", 591: "BO", 593: "EC", 595: "PY", 598: "UY", 971: "AE",
+  972: "IL", 966: "SA"
+};
+
+export function regionOf(phone = "") {
+  if (String(phone).startsWith("telegram:")) return null;   // a chat id, not a number
+  const digits = String(phone).replace(/\D/g, "");
+  for (let n = 3; n >= 1; n--) {
+    const c = COUNTRY_BY_CODE[digits.slice(0, n)];
+    if (c) return c;
+  }
+  return null;
+}
+
+/* Stripe amounts are in the smallest unit, except these */
+const ZERO_DECIMAL = new Set([
+  "bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga", "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf"
+]);
+
+export function formatAmount(unitAmount, currency, locale = "en") {
+  const major = ZERO_DECIMAL.has(currency) ? unitAmount : unitAmount / 100;
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency: currency.toUpperCase() }).format(major);
+  } catch {
+    return new Intl.NumberFormat("en", { style: "currency", currency: currency.toUpperCase() }).format(major);
+  }
+}
+
+export function createPricing({ stripe, prices, regions = {}, ttlMs = 60 * 60e3 }) {
+  const memo = new Map();                    // ref → { at, price }
+
+  async function resolve(ref) {
+    const hit = memo.get(ref);
+    if (hit && Date.now() - hit.at < ttlMs) return hit.price;
+
+    const price = ref.startsWith("price_")
+      ? await stripe.prices.retrieve(ref)
+      : (await stripe.prices.list({ lookup_keys: [ref], active: true, limit: 1 })).data[0];
+    if (!price) throw new Error(`No active Stripe price for "${ref}"`);
+
+    memo.set(ref, { at: Date.now(), price });
+    return price;
+  }
+
+  const refFor = (tier, region) => regions[region]?.[tier] || prices[tier];
+
+  /* Stripe Price for this tier in the user's country */
+  const priceFor = (tier, phone) => resolve(refFor(tier, regionOf(phone)));
+
+  /* { amount: "R$ 9,90", interval: "month" | "year" | "once" } */
+  async function quote(tier, user) {
+    const price  = await priceFor(tier, user.phone_number);
+    const region = regionOf(user.phone_number);
+    const locale = region ? `${user.target_lang || "en"}-${region}` : user.target_lang || "en";
+    return {
+      amount  : formatAmount(price.unit_amount, price.currency, locale),
+      interval: price.recurring?.interval || "once"
+    };
+  }
+
+  /* which tier a Stripe Price belongs to – any region, id or lookup key */
+  function tierOf(price) {
+    if (!price) return undefined;
+    const refs = [prices, ...Object.values(regions)];
+    for (const r of refs) {
+      const tier = TIERS.find(t => r[t] && (r[t] === price.id || r[t] === price.lookup_key));
+      if (tier) return tier;
+    }
+    return undefined;
+  }
+
+  return { priceFor, quote, tierOf };
+}
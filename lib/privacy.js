@@ -0,0 +1,110 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/privacy.js  –  what we hold about a user, for how long, and how
+
+   • sealer(key): optional AES-256-GCM for logged text. Sealed values
+     read "enc:v1:<iv>:<tag>:<data>"; rows written before a key was set
+     come back unchanged, so turning it on needs no migration
+   • exportFor(): profile, linked channels, usage and translation log
+   • erase(): the user row (usage, bridges, rooms, channels cascade –
+     server.js first hands their room on, ends their bridge and carries
+     the month's usage over with lib/quota.js),
+     their translations, delivery / inbound logs, queued jobs, the voice
+     notes sent to them, their "mydata" exports and their Stripe customer
+   • purge(): logs, jobs, seen message ids and cache entries older than
+     `retentionDays` (0 = keep). Cache entries are keyed by content, not
+     by user, so erase() can't single them out – they are sealed like
+     the logs and go with this purge
+────────────────────────────────────────────────────────────────────── */
+import { createCipheriv, createDecipheriv, randomBytes } from "crypto";
+
+const PREFIX = "enc:v1:";
+
+/* 32-byte key, base64 or hex → { seal, open }; no key = plain text */
+export function sealer(key) {
+  if (!key) return { seal: s => s, open: s => s };
+  const k = Buffer.from(key, /^[0-9a-f]{64}$/i.test(key) ? "hex" : "base64");
+  if (k.length !== 32) throw new Error("LOG_ENCRYPTION_KEY must be 32 bytes (base64 or hex)");
+
+  const seal = s => {
+    if (s == null || s === "") return s;
+    const iv = randomBytes(12);
+    const c  = createCipheriv("aes-256-gcm", k, iv);
+    const data = Buffer.concat([c.update(String(s), "utf8"), c.final()]);
+    return PREFIX + [iv, c.getAuthTag(), data].map(b => b.toString("base64")).join(":");
+  };
+  const open = s => {
+    if (typeof s !== "string" || !s.startsWith(PREFIX)) return s;
+    const [iv, tag, data] = s.slice(PREFIX.length).split(":").map(b => Buffer.from(b, "base64"));
+    const d = createDecipheriv("aes-256-gcm", k, iv);
+    d.setAuthTag(tag);
+    return Buffer.concat([d.update(data), d.final()]).toString("utf8");
+  };
+  return { seal, open };
+}
+
+export const exportPrefix = userId => `mydata_${userId}_`;
+
+export function createPrivacy({ supabase, stripe, audioStore, exportStore, open = s => s, retentionDays = 90 }) {
+  const must = ({ data, error }) => { if (error) throw error; return data; };
+  const list = s => `(${s.map(a => `"${a}"`).join(",")})`;
+
+  /* translation rows they sent, and bridge rows sent to them */
+  const theirs = (q, addresses) =>
+    q.or(`phone_number.in.${list(addresses)},recipient.in.${list(addresses)}`);
+
+  async function exportFor(user, addresses) {
+    const translations = must(await theirs(supabase.from("translations").select(
+      "created_at, phone_number, recipient, language_from, language_to, original_text, translated_text"
+    ), addresses).order("created_at", { ascending: true }));
+    const usage = must(await supabase.from("usage").select("*").eq("user_id", user.id));
+    return {
+      exported_at : new Date().toISOString(),
+      profile     : user,
+      channels    : addresses,
+      usage,
+      translations: translations.map(r => ({
+        ...r, original_text: open(r.original_text), translated_text: open(r.translated_text)
+      }))
+    };
+  }
+
+  /* → { translations, audio } removed */
+  async function erase(user, addresses) {
+    const sent = must(await supabase
+      .from("outbound_messages").select("payload").in("phone_number", addresses));
+    const paths = [...new Set(sent.flatMap(r => [].concat(r.payload?.mediaUrl || []))
+      .map(audioStore.pathOf).filter(Boolean))];
+
+    if (user.stripe_cust_id) {                    // also ends any subscription
+      await stripe.customers.del(user.stripe_cust_id).catch(e => {
+        if (e.code !== "resource_missing") throw e;
+      });
+    }
+
+    const gone = must(await theirs(supabase.from("translations").delete(), addresses).select("id"));
+    must(await supabase.from("outbound_messages").delete().in("phone_number", addresses));
+    must(await supabase.from("processed_messages").delete().in("phone_number", addresses));
+    must(await supabase.from("jobs").delete().in("key", addresses));   // this request's job too
+    must(await supabase.from("bridges").delete().in("invitee_phone", addresses).eq("status", "pending"));
+    if (paths.length) await audioStore.remove(paths);
+    await exportStore.removePrefix(exportPrefix(user.id));
+    must(await supabase.from("users").delete().eq("id", user.id));
+    return { translations: gone.length, audio: paths.length };
+  }
+
+  /* logs past the retention window → rows removed */
+  async function purge() {
+    if (!(retentionDays > 0)) return 0;
+    const cutoff = new Date(Date.now() - retentionDays * 864e5).toISOString();
+    const old = await Promise.all([
+      supabase.from("translations").delete().lt("created_at", cutoff).select("id"),
+      supabase.from("outbound_messages").delete().lt("created_at", cutoff).select("sid"),
+      supabase.from("processed_messages").delete().lt("created_at", cutoff).select("message_sid"),
+      supabase.from("jobs").delete().lt("created_at", cutoff).select("id"),
+      supabase.from("cache_entries").delete().lt("created_at", cutoff).select("key")
+    ]);
+    return old.map(must).reduce((n, rows) => n + rows.length, 0);
+  }
+
+  return { exportFor, erase, purge };
+}
@@ -0,0 +1,51 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/providers/deepl.js  –  DeepL (or any DeepL-compatible) /v2/translate
+────────────────────────────────────────────────────────────────────── */
+import { fetchJson } from "./http.js";
+import { langCode }  from "../languages.js";
+
+const {
+  DEEPL_API_KEY,
+  DEEPL_API_URL = "https://api-free.deepl.com/v2/translate"
+} = process.env;
+
+/* DeepL wants a region for a few targets */
+const TARGET = { en: "EN-US", pt: "PT-BR" };
+
+/* "prefer_" falls back quietly for languages without formality */
+const FORMALITY = { formal: "prefer_more", informal: "prefer_less" };
+
+export default {
+  name: "deepl",
+
+  /* o.formality / o.context → DeepL's own params; the glossary is enforced by server.js */
+  async translate(text, target, o = {}) {
+    const r = await fetchJson(DEEPL_API_URL, {
+      method : "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization : `DeepL-Auth-Key ${DEEPL_API_KEY}`
+      },
+      body: JSON.stringify({
+        text       : [text],
+        target_lang: TARGET[target] || target.toUpperCase(),
+        ...(FORMALITY[o.formality] && { formality: FORMALITY[o.formality] }),
+        ...(o.context?.length && { context: o.context.map(c => c.original).join("\n") })
+      })
+    });
+    return r.translations[0].text.trim();
+  },
+
+  async detect(q) {
+    /* DeepL only reports the source language as a side effect */
+    const r = await fetchJson(DEEPL_API_URL, {
+      method : "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization : `DeepL-Auth-Key ${DEEPL_API_KEY}`
+      },
+      body: JSON.stringify({ text: [q], target_lang: "EN-US" })
+    });
+    return { lang: langCode(r.translations[0].detected_source_language), confidence: null };
+  }
+};
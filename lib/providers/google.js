@@ -0,0 +1,99 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/providers/google.js  –  Translate v2 detection + Cloud TTS
+────────────────────────────────────────────────────────────────────── */
+import { fetchJson, postJson } from "./http.js";
+import { voiceLocale, langCode } from "../languages.js";
+
+const { GOOGLE_TTS_KEY } = process.env;
+const API = "https://texttospeech.googleapis.com/v1";
+
+/* voices grouped by language family ("en", "cmn", "fil" …) */
+let voiceCache = null;
+async function loadVoices() {
+  if (voiceCache) return voiceCache;
+  const { voices } = await fetchJson(`${API}/voices?key=${GOOGLE_TTS_KEY}`);
+  voiceCache = voices.reduce((m, v) => {
+    v.languageCodes.forEach(full => {
+      const code = full.split("-", 1)[0];
+      (m[code] ||= []).push(v);
+    });
+    return m;
+  }, {});
+  return voiceCache;
+}
+
+const TIER = v => (v.name.includes("Neural2") ? 0 : v.name.includes("WaveNet") ? 1 : v.name.includes("Standard") ? 2 : 3);
+
+/* pref = a user's choice: a regional locale ("es-US") or one exact voice
+   name ("es-US-Neural2-B"); otherwise the registry's locale */
+async function pickVoice(lang, gender, pref = null) {
+  const cache  = await loadVoices();
+  const family = (voiceLocale(lang) || lang).split("-", 1)[0];
+
+  if (pref && pref.split("-").length > 2 && (cache[family] || []).some(v => v.name === pref)) return pref;
+  const locale = (pref && pref.split("-").slice(0, 2).join("-")) || voiceLocale(lang);   // "en-US", "cmn-CN" …
+
+  let list = (cache[family] || []).filter(v => v.ssmlGender === gender);
+  if (!list.length) list = cache[family] || [];
+
+  /* ⭐ Prefer the chosen / registry regional voice (en-US over en-AU, en-GB …) */
+  if (locale) {
+    const regional = list.filter(v => v.languageCodes.includes(locale));
+    if (regional.length) list = regional;
+  }
+
+  return (
+    list.find(v => v.name.includes("Neural2")) ||
+    list.find(v => v.name.includes("WaveNet")) ||
+    list.find(v => v.name.includes("Standard")) ||
+    { name: "en-US-Standard-A" }
+  ).name;
+}
+
+/* null when Google rejects the voice (4xx) so we can try the next one;
+   rate limits / 5xx still throw so the queue can retry */
+async function synth(text, name, rate) {
+  const lc = name.split("-", 2).join("-");
+  try {
+    const r = await postJson(`${API}/text:synthesize?key=${GOOGLE_TTS_KEY}`, {
+      input      : { text },
+      voice      : { languageCode: lc, name },
+      audioConfig: { audioEncoding: "MP3", speakingRate: rate }
+    });
+    return r.audioContent ? Buffer.from(r.audioContent, "base64") : null;
+  } catch (e) {
+    if (e.status === 429 || e.status >= 500) throw e;
+    return null;
+  }
+}
+
+export default {
+  name: "google",
+
+  warm: loadVoices,
+
+  async detect(q) {
+    const r = await postJson(
+      `https://translation.googleapis.com/language/translate/v2/detect?key=${GOOGLE_TTS_KEY}`,
+      { q }
+    );
+    const d = r.data.detections[0][0];
+    return { lang: langCode(d.language), confidence: d.confidence ?? null };
+  },
+
+  /* voice names for one locale + gender, best tier first ("settings" picker) */
+  async voices(locale, gender) {
+    const family = locale.split("-", 1)[0];
+    return ((await loadVoices())[family] || [])
+      .filter(v => v.languageCodes.includes(locale) && (!gender || v.ssmlGender === gender))
+      .sort((a, b) => TIER(a) - TIER(b) || a.name.localeCompare(b.name))
+      .map(v => v.name);
+  },
+
+  async tts(text, lang, { gender, rate = 0.9, voice = null } = {}) {
+    let buf = await synth(text, await pickVoice(lang, gender, voice), rate); if (buf) return buf;
+    buf = await synth(text, voiceLocale(lang) || lang, rate);           if (buf) return buf;
+    buf = await synth(text, "en-US-Standard-A", rate);                  if (buf) return buf;
+    throw new Error("TTS failed");
+  }
+};
@@ -0,0 +1,25 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/providers/http.js  –  fetch helpers shared by vendor adapters
+────────────────────────────────────────────────────────────────────── */
+import fetch from "node-fetch";
+
+/* Throw on non-2xx with .status set, so lib/queue.js can tell
+   a 429/5xx (retry) from a 400 (give up). */
+export async function fetchJson(url, opts = {}) {
+  const r = await fetch(url, opts);
+  const body = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    const msg = body?.error?.message || body?.message || r.statusText;
+    const err = new Error(`${new URL(url).host} ${r.status}: ${msg}`);
+    err.status = r.status;
+    throw err;
+  }
+  return body;
+}
+
+export const postJson = (url, payload, headers = {}) =>
+  fetchJson(url, {
+    method : "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body   : JSON.stringify(payload)
+  });
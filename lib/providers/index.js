@@ -0,0 +1,75 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/providers/index.js  –  one entry point per capability
+
+   Each capability runs a comma-separated fallback chain from env:
+     TRANSCRIBE_PROVIDERS=openai,whispercpp
+     TRANSLATE_PROVIDERS=openai,deepl
+     DETECT_PROVIDERS=google
+     TTS_PROVIDERS=google
+   PROVIDERS=stub overrides every chain (offline / tests).
+────────────────────────────────────────────────────────────────────── */
+import openai     from "./openai.js";
+import google     from "./google.js";
+import whispercpp from "./whispercpp.js";
+import deepl      from "./deepl.js";
+import stub       from "./stub.js";
+
+const REGISTRY = { openai, google, whispercpp, deepl, stub };
+
+const DEFAULTS = {
+  transcribe: "openai",
+  translate : "openai",
+  detect    : "google",
+  tts       : "google"
+};
+
+function chainFor(cap) {
+  const raw = process.env.PROVIDERS || process.env[`${cap.toUpperCase()}_PROVIDERS`] || DEFAULTS[cap];
+  return raw.split(",").map(s => s.trim()).filter(Boolean).map(name => {
+    const p = REGISTRY[name];
+    if (!p)      throw new Error(`Unknown provider "${name}" for ${cap}`);
+    if (!p[cap]) throw new Error(`Provider "${name}" cannot ${cap}`);
+    return p;
+  });
+}
+
+/* resolved once at boot so a typo fails fast */
+const CHAINS = Object.fromEntries(Object.keys(DEFAULTS).map(c => [c, chainFor(c)]));
+
+async function run(cap, ...args) {
+  let last;
+  for (const p of CHAINS[cap]) {
+    try {
+      return await p[cap](...args);
+    } catch (e) {
+      last = e;
+      console.warn(`⚠️  ${cap} via ${p.name} failed:`, e.message);
+    }
+  }
+  throw last;
+}
+
+export const transcribe = wav                 => run("transcribe", wav);          // → { txt, lang }
+export const translate  = (text, target, o)   => run("translate", text, target, o); // → string
+export const detect     = text                => run("detect", text);             // → { lang, confidence }
+export const tts        = (text, lang, o)     => run("tts", text, lang, o);       // o: { gender, rate, voice } → MP3 Buffer
+
+/* voices the first TTS provider that can list them offers for a locale */
+export async function voices(locale, gender) {
+  const p = CHAINS.tts.find(p => p.voices);
+  return p ? p.voices(locale, gender).catch(() => []) : [];
+}
+
+/* "openai:gpt-4o-mini>deepl" – part of every cache key, so switching
+   vendor or model never serves the old vendor's output */
+export const identity = cap =>
+  CHAINS[cap].map(p => (p.model ? `${p.name}:${p.model}` : p.name)).join(">");
+
+export const chains = () =>
+  Object.fromEntries(Object.entries(CHAINS).map(([c, ps]) => [c, ps.map(p => p.name)]));
+
+/* pre-load anything slow (Google voice list) – best effort */
+export async function warmUp() {
+  const seen = new Set(Object.values(CHAINS).flat());
+  await Promise.all([...seen].map(p => p.warm?.().catch(() => {})));
+}
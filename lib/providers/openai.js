@@ -0,0 +1,79 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/providers/openai.js  –  Whisper transcription + GPT translation
+────────────────────────────────────────────────────────────────────── */
+import fs     from "fs";
+import OpenAI from "openai";
+import { language, langCode } from "../languages.js";
+
+const {
+  OPENAI_API_KEY,
+  OPENAI_TRANSLATE_MODEL = "gpt-4o-mini"
+} = process.env;
+
+let client = null;
+const openai = () => (client ||= new OpenAI({ apiKey: OPENAI_API_KEY }));
+
+async function whisperOnce(model, wav) {
+  const r = await openai().audio.transcriptions.create({
+    model,
+    file: fs.createReadStream(wav),
+    response_format: "json"
+  });
+  return { txt: r.text, lang: langCode(r.language) };
+}
+
+const FORMALITY = {
+  formal  : "Address the reader formally (usted, Sie, vous, o senhor …).",
+  informal: "Address the reader informally (tú, du, tu, você …)."
+};
+const TONE = {
+  casual  : "Keep the tone casual and friendly.",
+  business: "Use a polished, professional business tone."
+};
+
+/* system prompt: keyword protection + the sender's style, glossary and
+   the last few lines of the conversation */
+function instructions(target, { formality, tone, glossary = [], context = [] } = {}) {
+  return [
+    `You are a professional translator.
+           Never translate the literal keyword "reset"; always leave it as the
+           lowercase English word "reset".Never translate the literal keyword "reset source"; always leave it as the
+           lowercase English word "reset source".
+           Leave markers like ⟦g0⟧ exactly as they are.
+           Translate everything else to ${target}. Return ONLY the translation.`,
+    FORMALITY[formality],
+    TONE[tone],
+    ...glossary.map(g => (g.render
+      ? `Always translate "${g.term}" as "${g.render}".`
+      : `Never translate "${g.term}"; keep it exactly as written.`)),
+    context.length && "Earlier in this conversation, for reference only (do NOT translate it again):\n" +
+      context.map(c => `${c.mine ? "Sender" : "Other"}: ${c.original} → ${c.translated}`).join("\n")
+  ].filter(Boolean).join("\n");
+}
+
+export default {
+  name : "openai",
+  model: OPENAI_TRANSLATE_MODEL,
+
+  async transcribe(wav) {
+    try {
+      return await whisperOnce("whisper-large-v3", wav);
+    } catch {
+      return await whisperOnce("whisper-1", wav);
+    }
+  },
+
+  async translate(text, code, o = {}) {
+    const target = language(code)?.name || code;   // "tl" → "Tagalog"
+    const r = await openai().chat.completions.create({
+      model: OPENAI_TRANSLATE_MODEL,
+      messages: [
+        { role: "system", content: instructions(target, o) },
+        { role: "user",
+          content: `Translate this into ${target}:\n\n${text}` }
+      ],
+      max_tokens: Math.min(4096, 400 + text.length * 2)   // long input, long output (server.js chunks)
+    });
+    return r.choices[0].message.content.trim();
+  }
+};
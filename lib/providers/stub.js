@@ -0,0 +1,42 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/providers/stub.js  –  deterministic offline stand-ins
+   Same input → same output, no network. PROVIDERS=stub runs the whole
+   conversation flow locally and in tests.
+────────────────────────────────────────────────────────────────────── */
+
+const {
+  STUB_TRANSCRIPT = "hello, this is a test voice note",
+  STUB_TRANSCRIPT_LANG = "en"
+} = process.env;
+
+/* a few give-away words per language; first hit wins, else English */
+const HINTS = {
+  es: /\b(hola|gracias|que|por favor|buenos|est[aá]s?|sí)\b|[ñ¿¡]/i,
+  fr: /\b(bonjour|merci|oui|je|vous|c'est|ça)\b|[çœ]/i,
+  pt: /\b(olá|obrigad[oa]|você|não|sim|tudo bem)\b|[ãõ]/i,
+  de: /\b(hallo|danke|ich|nicht|und|bitte|ja)\b|[äöüß]/i
+};
+
+/* one silent MPEG-1 Layer III frame (128 kbps, 44.1 kHz) */
+const SILENT_MP3 = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(413)]);
+
+export default {
+  name: "stub",
+
+  async transcribe() {
+    return { txt: STUB_TRANSCRIPT, lang: STUB_TRANSCRIPT_LANG };
+  },
+
+  async translate(text, target) {
+    return `[${target}] ${text}`;
+  },
+
+  async detect(q) {
+    const hit = Object.entries(HINTS).find(([, re]) => re.test(q));
+    return hit ? { lang: hit[0], confidence: 0.9 } : { lang: "en", confidence: 0.5 };
+  },
+
+  async tts() {
+    return SILENT_MP3;
+  }
+};
@@ -0,0 +1,24 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/providers/whispercpp.js  –  self-hosted whisper.cpp HTTP server
+   (examples/server: POST /inference, multipart "file")
+────────────────────────────────────────────────────────────────────── */
+import { FormData, fileFromSync } from "node-fetch";
+import { fetchJson } from "./http.js";
+import { langCode }  from "../languages.js";
+
+const { WHISPERCPP_URL = "http://127.0.0.1:8081" } = process.env;
+
+export default {
+  name: "whispercpp",
+
+  async transcribe(wav) {
+    const form = new FormData();
+    form.set("file", fileFromSync(wav, "audio/wav"));
+    form.set("response_format", "verbose_json");
+    const r = await fetchJson(`${WHISPERCPP_URL.replace(/\/+$/, "")}/inference`, {
+      method: "POST",
+      body  : form
+    });
+    return { txt: (r.text || "").trim(), lang: langCode(r.language || r.detected_language) };
+  }
+};
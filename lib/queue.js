@@ -0,0 +1,221 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/queue.js  –  durable job queue for inbound messages
+
+   • jobs persist in a store (Supabase table or in-memory for tests)
+   • bounded concurrency, strict FIFO per key (phone number)
+   • transient provider errors retry with exponential backoff
+   • anything else, or the last retry, lands in "dead"
+   • a job's outcome is written before its key moves on; if the store
+     refuses it, the write is retried every tick rather than lost
+   • job.progress(patch) keeps how far a handler got in the payload, so
+     a retry can resume instead of redoing finished work
+   • the Supabase store seals payload.text with seal() / open()
+     (lib/privacy.js) – a queued message is as private as its log row
+────────────────────────────────────────────────────────────────────── */
+
+/* Errors worth retrying: rate limits, 5xx, dropped sockets.
+   OpenAI / Twilio / Stripe errors carry .status, node sockets .code –
+   on the error or, for fetch, on its .cause. The OpenAI SDK's connection
+   errors only say who they are through their class (.name is "Error"). */
+const RETRY_STATUS = new Set([408, 409, 425, 429]);
+const RETRY_CODES  = new Set([
+  "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE",
+  "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT"
+]);
+const RETRY_NAMES  = new Set([
+  "FetchError", "AbortError", "APIConnectionError", "APIConnectionTimeoutError"
+]);
+/* supabase-js never throws: a failed fetch comes back as
+   { message: "TypeError: fetch failed", code: "" } with no status */
+const NETWORK_MESSAGE = /^(TypeError|FetchError|AbortError): |fetch failed/;
+
+export function isTransient(err) {
+  if (!err) return false;
+  if (err.transient) return true;
+  const s = err.status ?? err.statusCode ?? err.response?.status;
+  if (RETRY_STATUS.has(s) || (s >= 500 && s < 600)) return true;
+  if (RETRY_CODES.has(err.code) || RETRY_CODES.has(err.cause?.code)) return true;
+  if (RETRY_NAMES.has(err.name) || RETRY_NAMES.has(err.constructor?.name)) return true;
+  return !s && !err.code && NETWORK_MESSAGE.test(String(err.message ?? ""));
+}
+
+/* ── stores ──────────────────────────────────────────────────────────
+   Both expose the same async surface:
+     add(job) · active() · claim(id) · complete(id)
+     retry(id, patch) · bury(id, patch) · save(id, payload) · recover()
+   "active" = pending + running, oldest first.                        */
+
+export function supabaseStore(supabase, table = "jobs", { seal = s => s, open = s => s } = {}) {
+  const q = () => supabase.from(table);
+  const must = ({ data, error }) => { if (error) throw error; return data; };
+  const sealed = p => (p?.text ? { ...p, text: seal(p.text) } : p);
+  const opened = row => (row.payload?.text ? { ...row, payload: { ...row.payload, text: open(row.payload.text) } } : row);
+
+  return {
+    add: async job =>
+      opened(must(await q().insert({ ...job, payload: sealed(job.payload) }).select().single())),
+
+    active: async () =>
+      must(await q()
+        .select("*")
+        .in("status", ["pending", "running"])
+        .order("id", { ascending: true })
+        .limit(500)).map(opened),
+
+    claim: async id =>
+      must(await q()
+        .update({ status: "running", locked_at: new Date().toISOString() })
+        .eq("id", id)
+        .eq("status", "pending")
+        .select()).length > 0,
+
+    complete: async id =>
+      must(await q().update({ status: "done", finished_at: new Date().toISOString() }).eq("id", id)),
+
+    retry: async (id, patch) =>
+      must(await q().update({ ...patch, status: "pending" }).eq("id", id)),
+
+    bury: async (id, patch) =>
+      must(await q().update({ ...patch, status: "dead", finished_at: new Date().toISOString() }).eq("id", id)),
+
+    save: async (id, payload) =>
+      must(await q().update({ payload: sealed(payload) }).eq("id", id)),
+
+    /* single worker process: anything "running" at boot was orphaned */
+    recover: async () =>
+      must(await q().update({ status: "pending", locked_at: null }).eq("status", "running"))
+  };
+}
+
+export function memoryStore() {
+  const jobs = [];
+  let seq = 0;
+  const byId = id => jobs.find(j => j.id === id);
+
+  return {
+    jobs,
+    add: async job => {
+      const row = { ...job, id: ++seq, created_at: new Date().toISOString() };
+      jobs.push(row);
+      return row;
+    },
+    active: async () => jobs.filter(j => j.status === "pending" || j.status === "running"),
+    claim: async id => {
+      const j = byId(id);
+      if (!j || j.status !== "pending") return false;
+      j.status = "running";
+      return true;
+    },
+    complete: async id => { byId(id).status = "done"; },
+    retry:    async (id, patch) => { Object.assign(byId(id), patch, { status: "pending" }); },
+    bury:     async (id, patch) => { Object.assign(byId(id), patch, { status: "dead" }); },
+    save:     async (id, payload) => { byId(id).payload = payload; },
+    recover:  async () => { jobs.forEach(j => { if (j.status === "running") j.status = "pending"; }); }
+  };
+}
+
+/* ── worker ────────────────────────────────────────────────────────── */
+export function createQueue({
+  store,
+  handler,                 // async (payload, job) => void; job.progress(patch) → payload
+  onDead = () => {},       // async (job, err) => void – last chance to tell the user
+  concurrency = 4,
+  maxAttempts = 5,
+  baseDelayMs = 2000,
+  pollMs      = 2000
+}) {
+  const inflight  = new Set();   // keys currently being processed
+  const unsettled = new Map();   // job id → { key, write } the store refused; retried each tick
+  let ticking = false, timer = null;
+
+  /* a lost "done" would run the job – and send its replies – again; a
+     lost retry / bury would leave it "running" until the next restart.
+     So the key stays busy until the outcome is stored. → stored yet? */
+  async function settle(job, write) {
+    try {
+      await write();
+      return true;
+    } catch (e) {
+      console.error(`⚠️ job ${job.id} outcome not stored, retrying:`, e.message || e);
+      unsettled.set(job.id, { key: job.key, write });
+      return false;
+    }
+  }
+
+  async function run(job) {
+    inflight.add(job.key);
+    job.progress = async patch => {
+      job.payload = { ...job.payload, ...patch };
+      await store.save(job.id, job.payload);
+    };
+    let outcome, dead = null;
+    try {
+      await handler(job.payload, job);
+      outcome = () => store.complete(job.id);
+    } catch (err) {
+      const attempts = (job.attempts || 0) + 1;
+      const last_error = String(err?.message || err).slice(0, 500);
+
+      if (isTransient(err) && attempts < maxAttempts) {
+        const delay = baseDelayMs * 2 ** (attempts - 1) * (1 + Math.random() * 0.2);
+        console.warn(`🔁 job ${job.id} retry ${attempts}/${maxAttempts} in ${Math.round(delay)}ms:`, last_error);
+        const patch = { attempts, last_error, run_at: new Date(Date.now() + delay).toISOString() };
+        outcome = () => store.retry(job.id, patch);
+      } else {
+        console.error(`💀 job ${job.id} dead after ${attempts} attempt(s):`, last_error);
+        outcome = () => store.bury(job.id, { attempts, last_error });
+        dead = err;
+      }
+    }
+    const stored = await settle(job, outcome);
+    if (dead) await Promise.resolve(onDead(job, dead)).catch(e => console.error("onDead ERR", e));
+    if (stored) inflight.delete(job.key);
+    kick();
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      for (const [id, u] of unsettled) {
+        await u.write();                       // throws while the store is still down
+        unsettled.delete(id);
+        inflight.delete(u.key);
+      }
+      const now  = Date.now();
+      const seen = new Set();
+      for (const job of await store.active()) {
+        if (inflight.size >= concurrency) break;
+        if (seen.has(job.key)) continue;       // only the head of each key may run
+        seen.add(job.key);
+        if (job.status !== "pending" || inflight.has(job.key)) continue;
+        if (job.run_at && Date.parse(job.run_at) > now) continue;
+        if (await store.claim(job.id)) run(job).catch(e => console.error("queue run ERR", e));
+      }
+    } catch (e) {
+      console.error("queue tick ERR", e.message || e);
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function kick() { setImmediate(tick); }
+
+  return {
+    store,
+
+    async enqueue(key, payload) {
+      const job = await store.add({ key, payload, status: "pending", attempts: 0 });
+      kick();
+      return job;
+    },
+
+    async start() {
+      await store.recover();
+      timer = setInterval(tick, pollMs);
+      kick();
+    },
+
+    stop() { clearInterval(timer); }
+  };
+}
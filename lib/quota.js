@@ -0,0 +1,138 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/quota.js  –  per-plan monthly allowances
+
+   • usage is counted per user per UTC calendar month ("2026-10")
+   • two meters: translated messages and audio seconds
+   • reserve() is one atomic check-and-increment in Postgres
+     (consume_quota), so parallel messages can't overshoot or undercount
+   • allowances come from QUOTA_PLANS (JSON) merged over DEFAULT_PLANS;
+     null = unlimited. roomMembers caps rooms the user owns.
+   • carry() / restore(): "delete my data" drops the usage rows with the
+     user, so the month's usage is kept under a keyed hash (HMAC) of
+     each address and handed back if that address signs up again before
+     it resets. Keyed with a server `secret`: a plain hash of a phone
+     number is undone by trying every number.
+────────────────────────────────────────────────────────────────────── */
+import { createHash, createHmac } from "crypto";
+
+export const DEFAULT_PLANS = {
+  FREE    : { messages: 10,   audioSeconds: 5 * 60,   roomMembers: 3  },
+  MONTHLY : { messages: 1500, audioSeconds: 180 * 60, roomMembers: 10 },
+  ANNUAL  : { messages: 1500, audioSeconds: 180 * 60, roomMembers: 10 },
+  LIFETIME: { messages: 1500, audioSeconds: 180 * 60, roomMembers: 10 }
+};
+
+export function loadPlans(json = process.env.QUOTA_PLANS) {
+  const plans = structuredClone(DEFAULT_PLANS);
+  if (!json) return plans;
+  for (const [name, limits] of Object.entries(JSON.parse(json))) {
+    plans[name] = { ...plans[name], ...limits };
+  }
+  return plans;
+}
+
+export const period = (d = new Date()) => d.toISOString().slice(0, 7);
+
+/* first instant of next month (UTC) – when every meter starts over */
+export const resetsAt = (d = new Date()) =>
+  new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1));
+
+export function createQuota({ supabase, plans = loadPlans(), table = "usage", carried = "carried_usage", secret }) {
+  const limitsFor = plan => plans[plan] || plans.FREE;
+
+  async function used(userId) {
+    const { data, error } = await supabase
+      .from(table)
+      .select("messages, audio_seconds")
+      .eq("user_id", userId)
+      .eq("period", period())
+      .maybeSingle();
+    if (error) throw error;
+    return { messages: data?.messages ?? 0, audioSeconds: Number(data?.audio_seconds ?? 0) };
+  }
+
+  const left = (limit, n) => (limit == null ? Infinity : Math.max(limit - n, 0));
+
+  /* snapshot for gates and the "billing" reply */
+  async function status(userId, plan) {
+    const limits = limitsFor(plan);
+    const u = await used(userId);
+    return {
+      plan, limits, used: u,
+      left: {
+        messages    : left(limits.messages, u.messages),
+        audioSeconds: left(limits.audioSeconds, u.audioSeconds)
+      },
+      resetsAt: resetsAt()
+    };
+  }
+
+  async function rpc(userId, messages, seconds, limits) {
+    const { data, error } = await supabase.rpc("consume_quota", {
+      p_user        : userId,
+      p_period      : period(),
+      p_messages    : messages,
+      p_seconds     : seconds,
+      p_max_messages: limits?.messages ?? null,
+      p_max_seconds : limits?.audioSeconds ?? null
+    });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    return {
+      ok  : !!row?.ok,
+      used: { messages: row?.used_messages ?? 0, audioSeconds: Number(row?.used_seconds ?? 0) }
+    };
+  }
+
+  /* take {messages, seconds} from the allowance, or { ok:false } if it won't fit */
+  async function reserve(userId, plan, { messages = 1, seconds = 0 } = {}) {
+    const r = await rpc(userId, messages, Math.ceil(seconds), limitsFor(plan));
+    return { ...r, held: { messages, seconds: Math.ceil(seconds) } };
+  }
+
+  /* hand a reservation back (processing failed, will be retried) */
+  async function release(userId, held) {
+    if (!held) return;
+    await rpc(userId, -held.messages, -held.seconds, null)
+      .catch(e => console.error("quota release:", e.message));
+  }
+
+  /* own key for this one purpose, whatever else `secret` is used for */
+  const hashKey = secret && createHash("sha256").update(`carried-usage:${secret}`).digest();
+  function addressHash(address) {
+    if (!hashKey) throw new Error("createQuota: `secret` is needed to carry usage");
+    return createHmac("sha256", hashKey).update(address).digest("hex");
+  }
+
+  /* before an erase: this month's usage → one row per address hash */
+  async function carry(userId, addresses) {
+    const u = await used(userId);
+    const p = period();
+    if (u.messages || u.audioSeconds) {
+      const { error } = await supabase.from(carried).upsert(addresses.map(a => ({
+        address_hash: addressHash(a), period: p, messages: u.messages, audio_seconds: u.audioSeconds
+      })));
+      if (error) throw error;
+    }
+    const { error } = await supabase.from(carried).delete().lt("period", p);   // earlier months are moot
+    if (error) throw error;
+  }
+
+  /* at signup: a carried row for this address → the new user's usage */
+  async function restore(userId, address) {
+    const { data, error } = await supabase
+      .from(carried)
+      .select("messages, audio_seconds")
+      .eq("address_hash", addressHash(address))
+      .eq("period", period())
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return;
+    const { error: e } = await supabase.from(table).upsert({
+      user_id: userId, period: period(), messages: data.messages, audio_seconds: data.audio_seconds
+    });
+    if (e) throw e;
+  }
+
+  return { plans, limitsFor, used, status, reserve, release, carry, restore };
+}
@@ -0,0 +1,80 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/rooms.js  –  group translation rooms (3+ people, any languages)
+
+   A room has an owner (pays for usage, plan sets the member cap) and
+   members who each keep their own target_lang / voice. server.js fans
+   every message out to the other members, one translation per language.
+   A user is in at most one room at a time.
+────────────────────────────────────────────────────────────────────── */
+import { newCode } from "./bridges.js";
+
+export function createRooms({ supabase }) {
+  const rooms   = () => supabase.from("rooms");
+  const members = () => supabase.from("room_members");
+  const must = ({ data, error }) => { if (error) throw error; return data; };
+
+  /* the open room this user is in, with their membership row */
+  async function current(userId) {
+    const rows = must(await members()
+      .select("*, room:rooms!inner(*)")
+      .eq("user_id", userId)
+      .is("left_at", null)
+      .eq("room.status", "open")
+      .limit(1));
+    return rows[0] ? { ...rows[0].room, me: rows[0] } : null;
+  }
+
+  const byCode = async code =>
+    must(await rooms().select("*").eq("code", code.toUpperCase()).eq("status", "open").maybeSingle());
+
+  /* active members, oldest first, with their user rows */
+  const roster = async roomId =>
+    must(await members()
+      .select("*, user:users!inner(*)")
+      .eq("room_id", roomId)
+      .is("left_at", null)
+      .order("joined_at", { ascending: true }));
+
+  async function create(owner, title = null) {
+    const room = must(await rooms()
+      .insert({ code: newCode(), title, owner_id: owner.id, status: "open" })
+      .select()
+      .single());
+    await join(room, owner);
+    return room;
+  }
+
+  /* (re)join – a member who left earlier comes back with a fresh row */
+  const join = async (room, user, nickname = null) =>
+    must(await members()
+      .upsert(
+        { room_id: room.id, user_id: user.id, nickname, joined_at: new Date().toISOString(), left_at: null },
+        { onConflict: "room_id,user_id" }
+      )
+      .select()
+      .single());
+
+  const rename = async (room, user, nickname) =>
+    must(await members().update({ nickname }).eq("room_id", room.id).eq("user_id", user.id));
+
+  /* leave; ownership passes to the longest-standing member, an empty room closes */
+  async function leave(room, user) {
+    must(await members()
+      .update({ left_at: new Date().toISOString() })
+      .eq("room_id", room.id)
+      .eq("user_id", user.id));
+
+    const rest = await roster(room.id);
+    if (!rest.length) {
+      must(await rooms().update({ status: "closed", closed_at: new Date().toISOString() }).eq("id", room.id));
+      return { closed: true, owner: null };
+    }
+    if (room.owner_id === user.id) {
+      must(await rooms().update({ owner_id: rest[0].user_id }).eq("id", room.id));
+      return { closed: false, owner: rest[0].user };
+    }
+    return { closed: false, owner: null };
+  }
+
+  return { current, byCode, roster, create, join, rename, leave };
+}
@@ -0,0 +1,87 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/storage.js  –  synthesized audio in a private Supabase bucket
+
+   • the bucket is private: nothing is reachable without a signed URL,
+     and every signed URL expires after `urlTtlSec` (Twilio fetches the
+     media within seconds of the send)
+   • callers keep the object path, never a URL
+   • purge() deletes objects older than `retentionDays`; server.js runs
+     it on a timer
+   • a second bucket holds the short-lived "mydata" exports
+────────────────────────────────────────────────────────────────────── */
+
+export function createAudioStore({ supabase, bucket = "tts-voices", urlTtlSec = 900, retentionDays = 7 }) {
+  const files = () => supabase.storage.from(bucket);
+
+  /* create the bucket, or make an existing (formerly public) one private */
+  async function init() {
+    const { error } = await supabase.storage.updateBucket(bucket, { public: false });
+    if (!error) return;
+    const made = await supabase.storage.createBucket(bucket, { public: false });
+    if (made.error && !/already exists/i.test(made.error.message)) throw made.error;
+  }
+
+  async function upload(path, buffer, contentType) {
+    let up = await files().upload(path, buffer, { contentType, upsert: true });
+    if (up.error && /Bucket not found/i.test(up.error.message)) {
+      console.warn("⚠️ Bucket missing → creating …");
+      await init();
+      up = await files().upload(path, buffer, { contentType, upsert: true });
+    }
+    if (up.error) throw up.error;
+    return path;
+  }
+
+  /* path → short-lived URL, or null when the object is gone (purged) */
+  async function url(path) {
+    const { data, error } = await files().createSignedUrl(path, urlTtlSec);
+    if (error) {
+      if (/not found/i.test(error.message)) return null;
+      throw error;
+    }
+    return data.signedUrl;
+  }
+
+  /* a signed URL we handed out → its object path (null for other URLs) */
+  const pathOf = url =>
+    decodeURIComponent(String(url).match(new RegExp(`/object/sign/${bucket}/([^?]+)`))?.[1] || "") || null;
+
+  async function remove(paths) {
+    const { error } = await files().remove(paths);
+    if (error) throw error;
+  }
+
+  /* every object whose name starts with `prefix` → count removed */
+  async function removePrefix(prefix, pageSize = 500) {
+    let removed = 0;
+    for (;;) {
+      const { data, error } = await files().list("", { limit: pageSize, search: prefix });
+      if (error) throw error;
+      const mine = (data || []).filter(o => o.id && o.name.startsWith(prefix)).map(o => o.name);
+      if (!mine.length) return removed;
+      await remove(mine);
+      removed += mine.length;
+      if (mine.length < pageSize) return removed;
+    }
+  }
+
+  /* delete everything older than the retention window → count removed */
+  async function purge(pageSize = 500) {
+    const cutoff = Date.now() - retentionDays * 864e5;
+    let removed = 0;
+    for (;;) {
+      const { data, error } = await files().list("", {
+        limit: pageSize, sortBy: { column: "created_at", order: "asc" }
+      });
+      if (error) throw error;
+      const old = (data || []).filter(o => o.id && Date.parse(o.created_at) < cutoff).map(o => o.name);
+      if (!old.length) return removed;
+      const del = await files().remove(old);
+      if (del.error) throw del.error;
+      removed += old.length;
+      if (old.length < pageSize) return removed;
+    }
+  }
+
+  return { init, upload, url, pathOf, remove, removePrefix, purge };
+}
@@ -0,0 +1,102 @@
+/* ──────────────────────────────────────────────────────────────────────
+   lib/whatsapp.js  –  buttons, list pickers and the 24-hour window
+
+   • choices → a Twilio Content resource (quick-reply for ≤ 3, list picker
+     for ≤ 10), created once per distinct message and remembered by hash;
+     the numbered plain text travels along as the twilio/text fallback.
+     User text never goes into a resource: it is a {{1}} variable, filled
+     per send (fill() does the same for plain-text channels)
+   • a tapped button / list item comes back as its id ("1", "more"), so
+     the handlers never know whether the user typed or tapped
+   • WhatsApp only delivers free-form messages within 24 h of the user's
+     last message; outside it only approved templates get through. Those
+     are configured per i18n key:
+       WHATSAPP_TEMPLATES={"billing.payment_failed":
+         {"sid":{"en":"HX…","es":"HX…"},"vars":["date","link"]}}
+     vars map our named placeholders onto the template's {{1}}, {{2}} …
+────────────────────────────────────────────────────────────────────── */
+import { cacheKey } from "./cache.js";
+import { postJson } from "./providers/http.js";
+
+const CONTENT_URL = "https://content.twilio.com/v1/Content";
+export const WINDOW_MS = 24 * 3600e3;
+
+/* WhatsApp's limits: 3 buttons / 10 list rows, short titles */
+const MAX_BUTTONS = 3;
+const MAX_ROWS    = 10;
+const cut = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+/* still inside the customer-service window (a minute of slack)? */
+export const inWindow = (lastInbound, now = Date.now()) =>
+  !!lastInbound && now - Date.parse(lastInbound) < WINDOW_MS - 60e3;
+
+/* inbound webhook → what the user "said": button / list id, else the text */
+export const replyText = (body = {}) => (body.ButtonPayload || body.ListId || body.Body || "").trim();
+
+export const fits = choices => choices?.length > 0 && choices.length <= MAX_ROWS;
+
+/* "{{1}}" placeholders → values, for sends that don't go through Content */
+export const fill = (text, vars = {}) => text.replace(/\{\{(\d+)\}\}/g, (m, n) => vars[n] ?? m);
+
+/* our menus are "1️⃣ Male" lines: keycap, 🔟 or "11." + title (RTL marks ok) */
+const OPTION = /^[\u200e\u200f]*(?:(\d)\ufe0f?\u20e3|(🔟)|(\d+)\.)\s+(.+)$/u;
+
+/* numbered text → { heading, choices } for buttons, the text itself stays
+   the fallback; `extra` rows (e.g. "more") go last. null = no options */
+export function choicesOf(text, extra = []) {
+  const heading = [];
+  const choices = [];
+  for (const line of text.split("\n")) {
+    const m = line.match(OPTION);
+    if (m) choices.push({ id: m[1] || (m[2] && "10") || m[3], title: m[4].trim() });
+    else heading.push(line);
+  }
+  if (!choices.length) return null;
+  return { heading: heading.join("\n").trim(), choices: [...choices, ...extra] };
+}
+
+/* { body, fallback, choices: [{ id, title, description }], button } → Content types */
+function types({ body, fallback, choices, button = "Choose" }) {
+  const text = { "twilio/text": { body: fallback || body } };
+  if (choices.length <= MAX_BUTTONS) {
+    return { ...text, "twilio/quick-reply": {
+      body   : cut(body, 1024),
+      actions: choices.map(c => ({ id: c.id, title: cut(c.title, 20) }))
+    } };
+  }
+  return { ...text, "twilio/list-picker": {
+    body  : cut(body, 1024),
+    button: cut(button, 20),
+    items : choices.map(c => ({
+      id: c.id, item: cut(c.title, 24), ...(c.description && { description: cut(c.description, 72) })
+    }))
+  } };
+}
+
+export function createWhatsApp({ accountSid, authToken, cache, templates = {} }) {
+  const auth = { Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString("base64")}` };
+
+  /* message with choices → ContentSid (created on first use). `vars`
+     ({ 1: "…" }) are only named in the resource, with a sample value –
+     the real ones go along with each send as contentVariables. */
+  async function contentSid(msg, lang = "en", vars = {}) {
+    const variables = Object.fromEntries(Object.keys(vars).map(n => [n, "…"]));
+    const def = { language: lang, variables, types: types(msg) };
+    const key = cacheKey("content", def);
+    return cache.wrap(key, async () => {
+      const r = await postJson(CONTENT_URL, { friendly_name: `tucan_${key.slice(0, 16)}`, ...def }, auth);
+      return r.sid;
+    });
+  }
+
+  /* approved template for an i18n key in this language → { contentSid, contentVariables } | null */
+  function template(key, lang, vars = {}) {
+    const t = templates[key];
+    const sid = typeof t?.sid === "string" ? t.sid : t?.sid?.[lang] || t?.sid?.en;
+    if (!sid) return null;
+    const values = Object.fromEntries((t.vars || []).map((name, i) => [i + 1, String(vars[name] ?? "")]));
+    return { contentSid: sid, contentVariables: JSON.stringify(values) };
+  }
+
+  return { contentSid, template };
+}
@@ -0,0 +1,52 @@
+/* ──────────────────────────────────────────────────────────────────────
+   scripts/i18n-check.js  –  find missing / stale / broken UI strings
+
+     npm run i18n:check              report, exit 1 on any problem
+     npm run i18n:check -- --stamp es  mark es as reviewed against the
+                                       current English text
+────────────────────────────────────────────────────────────────────── */
+import fs from "fs";
+import { SOURCE, hash, placeholders, loadCatalog, loadReviewed } from "../lib/i18n.js";
+
+const catalog  = loadCatalog();
+const reviewed = loadReviewed();
+const en       = catalog[SOURCE];
+const args     = process.argv.slice(2);
+
+const stampAt = args.indexOf("--stamp");
+if (stampAt !== -1) {
+  const loc = args[stampAt + 1];
+  if (!catalog[loc] || loc === SOURCE) {
+    console.error(`usage: --stamp <locale>   (one of ${Object.keys(catalog).filter(l => l !== SOURCE).join(", ")})`);
+    process.exit(2);
+  }
+  reviewed[loc] = Object.fromEntries(
+    Object.keys(catalog[loc]).filter(k => k in en).sort().map(k => [k, hash(en[k])])
+  );
+  fs.writeFileSync(
+    new URL("../locales/reviewed.json", import.meta.url),
+    JSON.stringify(reviewed, null, 2) + "\n"
+  );
+  console.log(`✅ ${loc}: ${Object.keys(reviewed[loc]).length} strings stamped`);
+  process.exit(0);
+}
+
+let problems = 0;
+for (const [loc, strings] of Object.entries(catalog)) {
+  if (loc === SOURCE) continue;
+  const report = [];
+
+  for (const k of Object.keys(en)) {
+    if (!(k in strings))                                   report.push(`missing  ${k}`);
+    else if (placeholders(strings[k]).join() !== placeholders(en[k]).join())
+                                                           report.push(`vars     ${k}  (${placeholders(en[k]).join(", ") || "none"} expected)`);
+    else if (reviewed[loc]?.[k] !== hash(en[k]))           report.push(`stale    ${k}`);
+  }
+  for (const k of Object.keys(strings))
+    if (!(k in en))                                        report.push(`unused   ${k}`);
+
+  problems += report.length;
+  console.log(report.length ? `⚠️  ${loc}\n   ${report.join("\n   ")}` : `✅ ${loc}`);
+}
+
+process.exit(problems ? 1 : 0);
@@ -4,13 +4,39 @@
 import express          from "express";
 import bodyParser       from "body-parser";
 import fetch            from "node-fetch";
-import ffmpeg           from "fluent-ffmpeg";
 import fs               from "fs";
 import { randomUUID as uuid } from "crypto";
-import OpenAI           from "openai";
 import Stripe           from "stripe";
 import twilio           from "twilio";
 import { createClient } from "@supabase/supabase-js";
+import { createQueue, supabaseStore, memoryStore } from "./lib/queue.js";
+import * as providers   from "./lib/providers/index.js";
+import { createI18n }    from "./lib/i18n.js";
+import * as cache       from "./lib/cache.js";
+import { createQuota }   from "./lib/quota.js";
+import { createPricing, TIERS, PLAN_BY_TIER } from "./lib/pricing.js";
+import { createBridges, toAddress } from "./lib/bridges.js";
+import { createRooms }   from "./lib/rooms.js";
+import { classify, label } from "./lib/media.js";
+import {
+  probeSeconds, hasAudio, toWav, silences, cutPoints, split, concat, toVoiceNote, mapLimit,
+  tmpFile, rmFiles, sweepTmp
+} from "./lib/audio.js";
+import { createAudioStore } from "./lib/storage.js";
+import { createCommands }   from "./lib/commands.js";
+import { chunkText, joinChunks } from "./lib/chunk.js";
+import * as glossary      from "./lib/glossary.js";
+import { createContext }  from "./lib/context.js";
+import { decide, translatable } from "./lib/direction.js";
+import { createWhatsApp, choicesOf, inWindow, fits, fill } from "./lib/whatsapp.js";
+import { createDelivery } from "./lib/delivery.js";
+import * as channels      from "./lib/channels/index.js";
+import { createIdentity } from "./lib/identity.js";
+import { createPrivacy, sealer, exportPrefix } from "./lib/privacy.js";
+import {
+  language, langCode, searchLanguages, isMore, hasVoice, voiceLocale, accentsOf, keycap, bidi,
+  languageMenu, languageList, welcomeMenu
+} from "./lib/languages.js";
 import * as dotenv      from "dotenv";
 dotenv.config();
 
@@ -21,33 +47,87 @@ process.on("unhandledRejection", r => console.error("🔴 UNHANDLED", r));
 const {
   SUPABASE_URL,
   SUPABASE_SERVICE_ROLE_KEY,
-  OPENAI_API_KEY,
-  GOOGLE_TTS_KEY,
   STRIPE_SECRET_KEY,
   STRIPE_WEBHOOK_SECRET,
   PRICE_MONTHLY,
   PRICE_ANNUAL,
   PRICE_LIFE,
+  PRICE_REGIONS,                   // JSON: {"BR":{"monthly":"…","annual":"…","life":"…"}}
+  STRIPE_GRACE_DAYS = 7,           // access kept after a failed renewal
   TWILIO_ACCOUNT_SID,
   TWILIO_AUTH_TOKEN,
-  TWILIO_PHONE_NUMBER,
+  TELEGRAM_WEBHOOK_SECRET,         // secret_token given to setWebhook (TELEGRAM_BOT_TOKEN: lib/channels)
+  PUBLIC_BASE_URL,                 // e.g. https://app.up.railway.app (no trailing /)
+  TWILIO_SIGNATURE_CHECK = "on",   // "off" only for local testing
+  QUEUE_STORE        = "supabase", // "memory" for local runs / tests
+  QUEUE_CONCURRENCY  = 4,
+  QUEUE_MAX_ATTEMPTS = 5,
+  CACHE_STORE        = "supabase", // "memory" = LRU only
+  CACHE_TTL_DAYS     = 30,
+  CACHE_REPORT_MIN   = 60,         // hit-rate log interval
+  SEGMENT_SECONDS        = 600,    // longer recordings are transcribed in pieces
+  TRANSCRIBE_CONCURRENCY = 3,
+  TRANSLATE_CHUNK_CHARS  = 1500,
+  TTS_CHUNK_CHARS        = 1200,   // Google TTS takes ≤ 5000 bytes per request
+  AUDIO_RETENTION_DAYS   = 7,      // synthesized audio is deleted after this
+  AUDIO_URL_TTL_SEC      = 900,    // lifetime of the signed URL handed to Twilio
+  WHATSAPP_INTERACTIVE   = "on",   // "off" = numbered text menus only
+  WHATSAPP_TEMPLATES,              // JSON: {"<i18n key>":{"sid":{"en":"HX…"},"vars":["date","link"]}}
+  DELIVERY_WAIT_MS       = 8000,   // longest wait for part n to land before part n+1 goes
+  DELIVERY_MAX_ATTEMPTS  = 3,      // sends of one message that keeps failing transiently
+  HISTORY_SIZE           = 5,      // translations shown by "history" without a number
+  CONTEXT_TURNS          = 6,      // earlier lines of the conversation sent along ("0" = off)
+  CONTEXT_TOKENS         = 600,    // …and at most about this many tokens of them
+  DETECT_MIN_CONFIDENCE  = 0.5,    // below this the user is asked which way to translate
+  LOG_RETENTION_DAYS     = 90,     // translation / delivery logs older than this are deleted ("0" = keep)
+  LOG_ENCRYPTION_KEY,              // 32 bytes, base64 or hex: logged text is stored AES-256-GCM sealed
   PORT = 8080,
 } = process.env;
-const WHATSAPP_FROM =
-  TWILIO_PHONE_NUMBER.startsWith("whatsapp:")
-    ? TWILIO_PHONE_NUMBER
-    : `whatsapp:${TWILIO_PHONE_NUMBER}`;
 
 /* ── clients ── */
 const supabase     = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-const openai       = new OpenAI({ apiKey: OPENAI_API_KEY });
 const stripe       = new Stripe(STRIPE_SECRET_KEY, { apiVersion: "2023-10-16" });
-const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+const logText      = sealer(LOG_ENCRYPTION_KEY);   // seal() before a log insert, open() after a read
 
 /* ──────────────────────────────────────────────────────────────────────
    Stripe helpers
 ────────────────────────────────────────────────────────────────────── */
 
+/* tier → Stripe Price (regional variant, lookup key or id) */
+const pricing = createPricing({
+  stripe,
+  prices : { monthly: PRICE_MONTHLY, annual: PRICE_ANNUAL, life: PRICE_LIFE },
+  regions: JSON.parse(PRICE_REGIONS || "{}")
+});
+
+/* "$1.99/month" in the user's language + country; "" if Stripe is unreachable */
+async function priceLabel(user, tier) {
+  try {
+    const q = await pricing.quote(tier, user);
+    return await say(user, `price.${q.interval}`, { price: q.amount });
+  } catch (e) {
+    console.error("price lookup err:", e.message);
+    return "";
+  }
+}
+
+/* paywall with all three tiers, numbered like the reply buttons */
+async function paywallText(user, st) {
+  const options = [];
+  for (const [i, tier] of TIERS.entries()) {
+    const name  = await say(user, `plan.${PLAN_BY_TIER[tier]}`);
+    const label = await priceLabel(user, tier);
+    options.push(`${i + 1}️⃣ ${name}${label ? `  ${label}` : ""}`);
+  }
+  return say(user, "paywall", { limit: st.limits.messages, ...paidAllowance(), options: options.join("\n") });
+}
+
+/* what a paid plan includes – the copy quotes the real caps */
+function paidAllowance() {
+  const l = quota.limitsFor("MONTHLY");
+  return { messages: l.messages ?? "∞", minutes: l.audioSeconds == null ? "∞" : minutes(l.audioSeconds) };
+}
+
 /* Ensure the user row has stripe_cust_id before we send them to Checkout */
 async function ensureCustomer(user) {
   if (user.stripe_cust_id) return user.stripe_cust_id;
@@ -75,10 +155,7 @@ async function ensureCustomer(user) {
 
 /* Build and return a hosted-checkout URL */
 async function checkoutUrl(user, tier /* 'monthly' | 'annual' | 'life' */) {
-  const price =
-    tier === "monthly" ? PRICE_MONTHLY :
-    tier === "annual"  ? PRICE_ANNUAL  :
-    PRICE_LIFE;
+  const { id: price } = await pricing.priceFor(tier, user.phone_number);
 
   const custId  = await ensureCustomer(user);
   const session = await stripe.checkout.sessions.create({
@@ -93,6 +170,296 @@ async function checkoutUrl(user, tier /* 'monthly' | 'annual' | 'life' */) {
   return session.url;
 }
 
+/* Stripe-hosted page where the user updates card / cancels */
+async function portalUrl(user) {
+  const session = await stripe.billingPortal.sessions.create({
+    customer  : await ensureCustomer(user),
+    return_url: "https://tucanchat.io/"
+  });
+  return session.url;
+}
+
+/* Paid plan AND billing in good standing (or still inside the grace period) */
+function hasPaidAccess(user) {
+  if (!user.plan || user.plan === "FREE") return false;
+  switch (user.billing_status) {
+    case "past_due":
+      return !user.grace_until || Date.parse(user.grace_until) > Date.now();
+    case "unpaid": case "canceled": case "refunded": case "disputed":
+      return false;
+    default:
+      return true;                                 // "active" or legacy null
+  }
+}
+
+/* "billing" reply: plan, renewal, usage and the links to change any of it */
+async function accountSummary(user) {
+  const lang  = user.target_lang || "en";
+  const plan  = user.plan || "FREE";
+  const lines = [await say(user, "account.plan", { plan: await say(user, `plan.${plan}`) })];
+
+  if (user.stripe_sub_id && (plan === "MONTHLY" || plan === "ANNUAL")) {
+    const sub  = await stripe.subscriptions.retrieve(user.stripe_sub_id);
+    const date = fmtDate(sub.current_period_end * 1000, lang);
+    lines.push(await say(user, sub.cancel_at_period_end ? "account.ends" : "account.renews", { date }));
+  }
+  if (user.billing_status === "past_due" && user.grace_until) {
+    lines.push(await say(user, "account.grace", { date: fmtDate(user.grace_until, lang) }));
+  }
+
+  const st = await quota.status(user.id, planOf(user));
+  lines.push(await say(user, "account.usage", {
+    used : st.used.messages,
+    limit: st.limits.messages ?? "∞",
+    mins : minutes(st.used.audioSeconds),
+    max  : st.limits.audioSeconds == null ? "∞" : minutes(st.limits.audioSeconds),
+    date : fmtDate(st.resetsAt, lang)
+  }));
+
+  lines.push("");
+  if (!hasPaidAccess(user)) {
+    lines.push(await say(user, "account.subscribe", paidAllowance()));
+    for (const tier of TIERS) {
+      const label = await priceLabel(user, tier);
+      lines.push(`• ${await say(user, `plan.${PLAN_BY_TIER[tier]}`)}${label ? ` (${label})` : ""}: ${await checkoutUrl(user, tier)}`);
+    }
+  }
+  if (user.stripe_cust_id && plan !== "FREE") {
+    lines.push(await say(user, "account.manage", { link: await portalUrl(user) }));
+  }
+  if (plan === "MONTHLY" || plan === "ANNUAL") {
+    lines.push(await say(user, "account.upgrade_life", { link: await checkoutUrl(user, "life") }));
+  }
+  return lines.join("\n");
+}
+
+
+/* ──────────────────────────────────────────────────────────────────────
+   Stripe event handlers  – throw to make Stripe retry
+────────────────────────────────────────────────────────────────────── */
+
+/* update users by one column, return the touched rows */
+async function updateUsers(col, val, fields) {
+  const { data, error } = await supabase
+    .from("users")
+    .update(fields)
+    .eq(col, val)
+    .select();
+  if (error) throw error;
+  return data;
+}
+
+/* WhatsApp heads-up in the user's own language (a template outside the
+   24 h window) – never fails the webhook */
+async function notifyUsers(rows, key, vars = {}) {
+  for (const u of rows) {
+    try {
+      await sendNotice(u.phone_number, { lang: u.target_lang, lastInbound: u.last_inbound_at }, key, vars);
+    } catch (e) {
+      console.error(`⚠️  ${key} notice to ${u.phone_number} failed:`, e.message);
+    }
+  }
+}
+
+const fmtDate = (iso, lang) =>
+  new Intl.DateTimeFormat(lang || "en", { dateStyle: "medium" }).format(new Date(iso));
+
+const STRIPE_HANDLERS = {
+
+  /* ─────────  checkout complete → upgrade  ───────── */
+  async "checkout.session.completed"(s) {
+    const plan =
+      s.metadata.tier === "monthly" ? "MONTHLY" :
+      s.metadata.tier === "annual"  ? "ANNUAL"  :
+      "LIFETIME";
+
+    const updateFields = {
+      plan,
+      stripe_sub_id : s.subscription ?? null,   // null for lifetime
+      stripe_cust_id: s.customer,               // store for future lookups
+      billing_status: "active",
+      grace_until   : null
+    };
+
+    let data = [], error;
+
+    /* 2-A. returning customers (row already has stripe_cust_id) */
+    ({ data, error } = await supabase
+      .from("users")
+      .update(updateFields)
+      .eq("stripe_cust_id", s.customer)
+      .select());
+
+    /* 2-B. first-timers after helper fix (uuid in Session metadata) */
+    if (!data.length && s.metadata?.uuid) {
+      ({ data, error } = await supabase
+        .from("users")
+        .update(updateFields)
+        .eq("id", s.metadata.uuid)
+        .select());
+    }
+
+    /* 2-C. first-timers before helper fix (uuid only on Customer) */
+    if (!data.length) {
+      const cust = await stripe.customers.retrieve(s.customer);
+      if (cust?.metadata?.uuid) {
+        ({ data, error } = await supabase
+          .from("users")
+          .update(updateFields)
+          .eq("id", cust.metadata.uuid)
+          .select());
+      }
+    }
+
+    /* 2-D. absolute last chance – match on phone_number
+            (stored in customer_details.name as "whatsapp:+506…", "+1…", "telegram:…") */
+    if (
+      !data.length &&
+      s.customer_details?.name &&
+      /^(?:whatsapp:\+|\+|telegram:)/.test(s.customer_details.name)
+    ) {
+      ({ data, error } = await supabase
+        .from("users")
+        .update(updateFields)
+        .eq("phone_number", s.customer_details.name)
+        .select());
+    }
+
+    if (error || !data.length) {
+      console.error("❌ Supabase update failed / user not found:", error);
+      throw error || new Error("user not found");   // let Stripe retry
+    }
+
+    console.log("✅ plan set to", plan, "for user", data[0].id);
+
+    /* upgrading to lifetime → any subscription still billing this customer
+       has to go. Stripe is asked, not the row (stripe_sub_id was just
+       cleared), so when a cancel fails the webhook fails and Stripe's
+       redelivery tries again – the update above is safe to repeat. */
+    if (plan === "LIFETIME") {
+      const subs = await stripe.subscriptions.list({ customer: s.customer, status: "all", limit: 100 });
+      for (const sub of subs.data) {
+        if (["canceled", "incomplete_expired"].includes(sub.status)) continue;
+        await stripe.subscriptions.cancel(sub.id);
+        console.log("↩️  replaced by lifetime:", sub.id);
+      }
+    }
+  },
+
+  /* ─────────  renewal failed → grace period + heads-up  ───────── */
+  async "invoice.payment_failed"(inv) {
+    if (!inv.subscription) return;               // lifetime = one-off, nothing to renew
+    const grace = new Date(Date.now() + STRIPE_GRACE_DAYS * 864e5).toISOString();
+
+    /* by subscription, not customer: an invoice of an old or replaced
+       subscription must not touch the current one */
+    const rows = await updateUsers("stripe_sub_id", inv.subscription, { billing_status: "past_due" });
+    if (!rows.length) return console.warn("↩️  failed invoice for a sub not on any user:", inv.subscription);
+    /* first failure starts the clock, later retries don't extend it */
+    const fresh = rows.filter(u => !u.grace_until);
+    for (const u of fresh) await updateUsers("id", u.id, { grace_until: grace });
+
+    for (const u of rows) {
+      const link = await portalUrl(u).catch(() => inv.hosted_invoice_url);
+      await notifyUsers([u], "billing.payment_failed", {
+        link, date: fmtDate(u.grace_until || grace, u.target_lang)
+      });
+    }
+    console.log("⚠️  payment failed for", inv.customer);
+  },
+
+  /* ─────────  renewal paid → back in good standing  ───────── */
+  async "invoice.paid"(inv) {
+    if (!inv.subscription) return;
+    const { data: before, error } = await supabase
+      .from("users").select("id").eq("stripe_sub_id", inv.subscription).eq("billing_status", "past_due");
+    if (error) throw error;
+    const rows = await updateUsers("stripe_sub_id", inv.subscription, {
+      billing_status: "active", grace_until: null
+    });
+    const recovered = new Set((before || []).map(u => u.id));
+    await notifyUsers(rows.filter(u => recovered.has(u.id)), "billing.recovered");
+  },
+
+  /* ─────────  status change / plan switch  ───────── */
+  async "customer.subscription.updated"(sub) {
+    const plan = PLAN_BY_TIER[pricing.tierOf(sub.items?.data?.[0]?.price)];
+    const status =
+      ["active", "trialing"].includes(sub.status) ? "active"   :
+      sub.status === "past_due"                   ? "past_due" :
+      sub.status === "canceled"                   ? "canceled" :
+      "unpaid";                                    // unpaid, incomplete_expired, paused
+
+    const fields = { billing_status: status };
+    if (status === "active") fields.grace_until = null;
+    if (plan) fields.plan = plan;
+
+    /* only the user whose current subscription this is: an older or
+       replaced one (late / out-of-order events) and lifetime never change */
+    const { data: before, error } = await supabase
+      .from("users").select("id, plan").eq("stripe_sub_id", sub.id).neq("plan", "LIFETIME");
+    if (error) throw error;
+    if (!before.length) return console.warn("↩️  update for a sub not on any user:", sub.id);
+    const { data: rows, error: upErr } = await supabase
+      .from("users").update(fields).in("id", before.map(u => u.id)).select();
+    if (upErr) throw upErr;
+
+    if (status === "unpaid") {
+      await notifyUsers(rows, "billing.suspended", { link: await portalUrl(rows[0]).catch(() => "") });
+    } else if (plan) {
+      const old = Object.fromEntries(before.map(u => [u.id, u.plan]));
+      for (const u of rows.filter(u => old[u.id] && old[u.id] !== plan)) {
+        await notifyUsers([u], "billing.plan_changed", { plan: await say(u, `plan.${plan}`) });
+      }
+    }
+  },
+
+  /* ─────────  subscription cancelled → downgrade  ───────── */
+  async "customer.subscription.deleted"(sub) {
+    const rows = await updateUsers("stripe_sub_id", sub.id, {
+      plan: "FREE", billing_status: "canceled", grace_until: null
+    });
+    /* no row = already replaced (lifetime upgrade) or a stale sub */
+    if (!rows.length) return console.warn("↩️  deleted sub not on any user:", sub.id);
+    await notifyUsers(rows, "billing.canceled");
+    console.log("↩️  subscription cancelled for", sub.id);
+  },
+
+  /* ─────────  lifetime purchase refunded → revoke  ───────── */
+  async "charge.refunded"(ch) {
+    if (ch.invoice || !ch.refunded) return;      // subscriptions / partial refunds: Stripe handles the sub
+    const { data } = await supabase
+      .from("users").select("id").eq("stripe_cust_id", ch.customer).eq("plan", "LIFETIME");
+    if (!data?.length) return;
+    const rows = await updateUsers("stripe_cust_id", ch.customer, {
+      plan: "FREE", billing_status: "refunded"
+    });
+    await notifyUsers(rows, "billing.refunded");
+  },
+
+  /* ─────────  lifetime purchase disputed → suspend until resolved  ───────── */
+  async "charge.dispute.created"(d) {
+    const ch = await stripe.charges.retrieve(d.charge);
+    if (ch.invoice) return;
+    const { data } = await supabase
+      .from("users").select("id").eq("stripe_cust_id", ch.customer).eq("plan", "LIFETIME");
+    if (!data?.length) return;
+    await updateUsers("stripe_cust_id", ch.customer, { billing_status: "disputed" });
+  },
+
+  async "charge.dispute.closed"(d) {
+    const ch = await stripe.charges.retrieve(d.charge);
+    if (ch.invoice) return;
+    const { data } = await supabase
+      .from("users").select("id").eq("stripe_cust_id", ch.customer).eq("billing_status", "disputed");
+    if (!data?.length) return;
+    await updateUsers("stripe_cust_id", ch.customer,
+      d.status === "won"
+        ? { billing_status: "active" }
+        : { plan: "FREE", billing_status: "disputed" });
+  }
+};
+
 /* ──────────────────────────────────────────────────────────────────────
    Stripe webhook  (must be above any JSON body-parser)
 ────────────────────────────────────────────────────────────────────── */
@@ -115,395 +482,1578 @@ app.post(
       return res.sendStatus(400);                // ask Stripe to retry
     }
 
-    /* ─────────  checkout complete → upgrade  ───────── */
-    if (event.type === "checkout.session.completed") {
-      const s = event.data.object;
+    /* 2. idempotency – claim the event id, release it if we fail */
+    const { error: dup } = await supabase
+      .from("stripe_events")
+      .insert({ id: event.id, type: event.type });
+    if (dup?.code === "23505") return res.json({ received: true, duplicate: true });
+    if (dup) console.error("❌ stripe_events insert:", dup.message);
 
-      const plan =
-        s.metadata.tier === "monthly" ? "MONTHLY" :
-        s.metadata.tier === "annual"  ? "ANNUAL"  :
-        "LIFETIME";
+    /* 3. dispatch */
+    const handler = STRIPE_HANDLERS[event.type];
+    try {
+      if (handler) await handler(event.data.object);
+      await supabase
+        .from("stripe_events")
+        .update({ processed_at: new Date().toISOString() })
+        .eq("id", event.id);
+    } catch (err) {
+      console.error(`❌ ${event.type} failed:`, err.message || err);
+      await supabase.from("stripe_events").delete().eq("id", event.id);
+      return res.sendStatus(500);                // let Stripe retry
+    }
 
-      const updateFields = {
-        plan,
-        free_used     : 0,
-        stripe_sub_id : s.subscription ?? null,   // null for lifetime
-        stripe_cust_id: s.customer                // store for future lookups
-      };
+    /* 4. ACK Stripe so it stops retrying */
+    res.json({ received: true });
+  }
+);
 
-      let data = [], error;
 
-      /* 2-A. returning customers (row already has stripe_cust_id) */
-      ({ data, error } = await supabase
-        .from("users")
-        .update(updateFields)
-        .eq("stripe_cust_id", s.customer)
-        .select());
+/* ====================================================================
+   2️⃣  CONSTANTS / HELPERS
+==================================================================== */
+/* languages live in lib/languages.js – menus, search and voices */
+const menuMsg = (t,page=0,opts) => `${t}\n\n${languageMenu(page,opts)}`;
 
-      /* 2-B. first-timers after helper fix (uuid in Session metadata) */
-      if (!data.length && s.metadata?.uuid) {
-        ({ data, error } = await supabase
-          .from("users")
-          .update(updateFields)
-          .eq("id", s.metadata.uuid)
-          .select());
-      }
+/* ────────── new constants ────────── */
+const WELCOME_MSG = `Welcome to TuCanChat🦜
+${welcomeMenu()}`;
 
-      /* 2-C. first-timers before helper fix (uuid only on Customer) */
-      if (!data.length) {
-        const cust = await stripe.customers.retrieve(s.customer);
-        if (cust?.metadata?.uuid) {
-          ({ data, error } = await supabase
-            .from("users")
-            .update(updateFields)
-            .eq("id", cust.metadata.uuid)
-            .select());
-        }
+/* monthly allowances per plan – QUOTA_PLANS env overrides lib/quota defaults */
+const quota    = createQuota({                                  // carried usage is HMAC'd with a server secret
+  supabase, secret: LOG_ENCRYPTION_KEY || SUPABASE_SERVICE_ROLE_KEY
+});
+const planOf   = user => (hasPaidAccess(user) ? user.plan : "FREE");
+const minutes  = sec  => Math.ceil(sec / 60);
+
+/* what to say when a message doesn't fit the allowance. The paywall
+   opens the plan menu: "1"–"3" pick a plan for PLAN_MENU_TTL_MS. */
+const PLAN_MENU_TTL_MS = 60 * 60e3;
+const planMenuOpen = user =>
+  !!user.plan_menu_at && Date.now() - Date.parse(user.plan_menu_at) < PLAN_MENU_TTL_MS;
+
+async function quotaMessage(user, st, seconds = 0) {
+  const date = fmtDate(st.resetsAt, user.target_lang);
+  if (st.left.messages < 1) {
+    if (st.plan !== "FREE") return say(user, "quota.exhausted", { limit: st.limits.messages, date });
+    await supabase.from("users").update({ plan_menu_at: new Date().toISOString() }).eq("id", user.id);
+    return paywallText(user, st);
+  }
+  return say(user, "quota.audio", {
+    length: minutes(seconds), left: Math.floor(st.left.audioSeconds / 60), date
+  });
+}
+
+/* provider layer – vendor chains are picked in lib/providers via env */
+const whisper    = wav               => providers.transcribe(wav);
+const detectLang = async q           => {                      // → { lang: "es", confidence | null }
+  const d = await providers.detect(q);
+  return { lang: langCode(d.lang), confidence: d.confidence ?? null };
+};
+const tts        = (text,lang,o)     => providers.tts(text,lang,o);   // o: { gender, rate, voice }
+providers.warmUp().then(()=>console.log("🔊 providers ready:",providers.chains()));
+
+/* result caches – repeats ("ok", "gracias", tutorial lines) skip the vendor */
+const cacheStores = [];
+const cacheOpts = name => {
+  const store = CACHE_STORE==="memory" ? cache.memoryStore() : cache.supabaseStore(supabase, undefined, logText);
+  cacheStores.push(store);
+  return { name, store, ttlMs: CACHE_TTL_DAYS * 864e5 };
+};
+const translations = cache.createCache({ ...cacheOpts("translate"), max: 2000 });
+const whatsapp     = createWhatsApp({                              // Content API resources live on
+  accountSid: TWILIO_ACCOUNT_SID, authToken: TWILIO_AUTH_TOKEN,
+  cache     : cache.createCache({ ...cacheOpts("content"), max: 500, ttlMs: 365 * 864e5 }),
+  templates : JSON.parse(WHATSAPP_TEMPLATES || "{}")
+});
+const voiceNotes   = cache.createCache({                             // never outlive the file
+  ...cacheOpts("audio"), max: 500, ttlMs: Math.min(CACHE_TTL_DAYS, AUDIO_RETENTION_DAYS) * 864e5
+});
+
+/* style = the sender's { formality, tone, glossary } (see styleOf) plus
+   the conversation's recent `context` (see recentContext) */
+async function translate(text,target,source="",style={}){
+  const pieces = chunkText(text, +TRANSLATE_CHUNK_CHARS, source);
+  if(pieces.length>1){
+    return joinChunks(await mapLimit(pieces, 3, p=>translate(p,target,source,style)), target);
+  }
+  const terms = glossary.used(text, style.glossary);
+  const o     = { source, formality: style.formality, tone: style.tone, glossary: terms, context: style.context || [] };
+  const key   = cache.cacheKey("tr", cache.normalize(text), source, target, providers.identity("translate"),
+    ...(o.formality||o.tone||terms.length ? [o.formality||"", o.tone||"", terms] : []),
+    ...(o.context.length ? [o.context] : []));
+  return translations.wrap(key, ()=>styled(text,target,o));
+}
+
+/* glossary terms the provider ignored → retry with the terms swapped for
+   ⟦g0⟧ markers, put back afterwards; keep the first result if that fails */
+async function styled(text,target,o){
+  const first = await providers.translate(text,target,o);
+  if(!glossary.violations(text, first, o.glossary).length) return first;
+  const { out, saved } = glossary.shield(text, o.glossary);
+  const back = glossary.unshield(await providers.translate(out,target,o), saved);
+  if(back) return back;
+  console.warn("⚠️ glossary markers lost → keeping unforced translation");
+  return first;
+}
+
+/* text → signed audio URL; same text+voice+rate+format reuses the stored
+   file. "ogg" = WhatsApp voice note (Opus), "mp3" = plain audio file. */
+const AUDIO_TYPES = { ogg: "audio/ogg", mp3: "audio/mpeg" };
+
+async function speak(text,lang,{ gender, rate=0.9, voice=null, format="ogg" }={}){
+  const key  = cache.cacheKey("tts", cache.normalize(text), lang, gender, rate, voice, format, providers.identity("tts"));
+  const make = async ()=>{
+    const pieces = chunkText(text, +TTS_CHUNK_CHARS, lang);
+    const mp3    = await concat(await mapLimit(pieces, 3, p=>tts(p,lang,{ gender, rate, voice })));
+    const audio  = format==="ogg" ? await toVoiceNote(mp3) : mp3;
+    return audioStore.upload(`tts_${key}.${format}`, audio, AUDIO_TYPES[format]);
+  };
+  const path = await voiceNotes.wrap(key, make);
+  const url  = path.startsWith("http") ? null : await audioStore.url(path);   // old entries held public URLs
+  if(url) return url;
+  await voiceNotes.set(key, await make());          // purged under a live cache entry
+  return audioStore.url(`tts_${key}.${format}`);
+}
+
+/* per-user output preferences ("settings") */
+const OUTPUTS = ["transcript", "translation", "audio"];
+const wants   = (user, out) => (user.reply_outputs || OUTPUTS).includes(out);
+const voiceOf = (user, lang) => ({
+  gender: user.voice_gender,
+  rate  : Number(user.speaking_rate) || 0.9,
+  voice : user.voices?.[lang] || null          // "es-US" or "es-US-Neural2-B"
+});
+
+/* how `user` wants their words rendered ("tone" / "glossary" commands) */
+const styleOf = user => ({
+  formality: user.formality || null,          // "formal" | "informal"
+  tone     : user.tone || null,               // "casual" | "business"
+  glossary : user.glossary || []
+});
+
+/* earlier lines of the same conversation ("forget" / "memory off" to stop).
+   scope: { bridgeId, others } | { roomId, lang, others } | {} = own chat */
+const memory = createContext({ supabase, turns: +CONTEXT_TURNS, budget: +CONTEXT_TOKENS, open: logText.open });
+const recentContext = (sender, scope) =>
+  memory.recent(sender, scope).catch(e => {
+    console.warn("context lookup failed:", e.message);
+    return [];
+  });
+
+/* spoken translation for `to`: a voice note, plus the MP3 if they opted in */
+async function sendVoice(to, text, lang){
+  const v      = voiceOf(to, lang);
+  const format = channels.of(to.phone_number).voiceFormat;          // SMS/MMS only plays MP3
+  await sendMessage(to.phone_number, "", await speak(text, lang, { ...v, format }));
+  if(to.audio_mp3 && format!=="mp3") await sendMessage(to.phone_number, "", await speak(text, lang, { ...v, format: "mp3" }));
+}
+
+setInterval(()=>{
+  const r = [translations,voiceNotes].map(c=>c.report()).filter(r=>r.rate!==null);
+  if(r.length) console.log("📦 cache", r.map(r=>`${r.name} ${r.rate}% (${r.hits+r.storeHits}/${r.hits+r.storeHits+r.misses})`).join(" · "));
+}, CACHE_REPORT_MIN * 60e3).unref();
+
+/* long recordings: cut at pauses, transcribe the pieces in parallel,
+   stitch the text back in order; language = the one most pieces heard */
+async function transcribe(audio){
+  if(audio.seconds <= +SEGMENT_SECONDS) return whisper(audio.wav);
+  const points = cutPoints(audio.seconds, await silences(audio.wav), { segment: +SEGMENT_SECONDS });
+  const pieces = await split(audio.wav, points);
+  try{
+    const parts = await mapLimit(pieces, +TRANSCRIBE_CONCURRENCY, whisper);
+    const votes = {};
+    for(const p of parts) if(p.lang && p.txt.trim()) votes[p.lang] = (votes[p.lang]||0) + p.txt.length;
+    return {
+      txt : parts.map(p=>p.txt.trim()).filter(Boolean).join(" "),
+      lang: Object.entries(votes).sort((a,b)=>b[1]-a[1])[0]?.[0] || ""
+    };
+  }finally{
+    rmFiles(pieces);
+  }
+}
+
+/* UI strings – reviewed catalog in locales/, MT only for missing locales */
+const { t } = createI18n({ translate, supabase });
+const say   = (user,key,vars) => t(key, user?.target_lang || "en", vars);
+
+/* Synthesized audio – private bucket, signed URLs, retention purge */
+const audioStore = createAudioStore({
+  supabase,
+  urlTtlSec    : +AUDIO_URL_TTL_SEC,
+  retentionDays: +AUDIO_RETENTION_DAYS
+});
+audioStore.init().catch(e=>console.error("audio bucket init:", e.message));
+
+async function housekeeping(){
+  const tmp = sweepTmp();
+  if(tmp) console.log(`🧹 removed ${tmp} stale temp file(s)`);
+  const n = await audioStore.purge();
+  if(n) console.log(`🧹 purged ${n} audio file(s) older than ${AUDIO_RETENTION_DAYS} days`);
+  /* expired cache rows are never read again, only kept – drop them (one
+     sweep per table: the Supabase stores share cache_entries) */
+  const stores = CACHE_STORE==="memory" ? cacheStores : cacheStores.slice(0, 1);
+  let stale = 0;
+  for(const store of stores) stale += await store.sweep();
+  if(stale) console.log(`🧹 removed ${stale} expired cache entr${stale===1?"y":"ies"}`);
+}
+setInterval(()=>housekeeping().catch(e=>console.error("housekeeping:", e.message)), 60 * 60e3).unref();
+housekeeping().catch(e=>console.error("housekeeping:", e.message));
+
+/* An attachment (audio or video, any channel) → 16 kHz mono WAV in /tmp; caller
+   must cleanup(). null when there's no sound in it (silent video). */
+async function downloadAsWav({ url, type = "" }){
+  const src  = await channels.media(url);                          // Twilio auth / Telegram file path
+  const resp = await fetch(src.url, { headers: src.headers });
+  if(!resp.ok) throw Object.assign(new Error(`media download ${resp.status}`),{ status:resp.status });
+  const buf  = await resp.buffer();
+  const ext  = classify(type || resp.headers.get("content-type") || "").ext || ".dat";
+  const raw  = tmpFile(ext);
+  const wav  = tmpFile(".16k.wav");
+  const cleanup = ()=>rmFiles([raw,wav]);
+  try{
+    fs.writeFileSync(raw, buf);
+    if(!(await hasAudio(raw))){ cleanup(); return null; }
+    await toWav(raw, wav);
+    return { wav, seconds: await probeSeconds(wav), cleanup };
+  }catch(e){
+    cleanup();
+    throw e;
+  }
+}
+
+/* every outbound message: after the previous one to the same number has
+   landed (lib/delivery.js), with a status callback, logged for resends.
+   Without PUBLIC_BASE_URL no callback comes → a fixed pause after media
+   so the voice note still lands before the text that follows it */
+const STATUS_URL     = PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL.replace(/\/+$/,"")}/twilio-status` : null;
+const MEDIA_DELAY_MS = 3500;
+const delivery       = createDelivery({
+  supabase, waitMs: +DELIVERY_WAIT_MS, maxAttempts: +DELIVERY_MAX_ATTEMPTS, ...logText
+});
+function deliver(msg, attempts = 1){
+  const { tracked } = channels.of(msg.to);
+  return delivery.inOrder(msg.to, async ()=>{
+    const m = await channels.send(msg, { statusCallback: STATUS_URL });
+    if(m.sid) await delivery.sent(m.sid, msg, attempts);       // channels without callbacks aren't logged
+    return m;
+  }, {
+    tracked: tracked && !!STATUS_URL,
+    pauseMs: tracked && !STATUS_URL && msg.mediaUrl ? MEDIA_DELAY_MS : 0
+  });
+}
+
+/* transient failures reported by the status callback → send again */
+async function resendDue(){
+  for(const row of await delivery.due()){
+    try{
+      const m = await deliver(row.payload, row.attempts + 1);
+      await delivery.retried(row.sid, m.sid);
+    }catch(e){
+      console.error(`resend of ${row.sid} failed:`, e.message);
+    }
+  }
+}
+setInterval(()=>resendDue().catch(e=>console.error("resend:", e.message)), 30e3).unref();
+
+/* Twilio refuses bodies over 1600 characters (a 400, not retried) →
+   longer text goes out as sentence-cut parts, in order; an RTL mark
+   at the start is repeated on every part */
+const MESSAGE_CHARS = 1500;
+const bodyParts = body =>
+  chunkText(body, MESSAGE_CHARS).map((p,i)=> i && body.startsWith("\u200F") ? `\u200F${p}` : p);
+
+/* skinny send on the address's channel: body, or a media URL, or
+   { heading, choices, lang, vars } for buttons / list picker (WhatsApp) or
+   an inline keyboard (Telegram); body = the plain-text fallback. vars
+   fill "{{1}}" … in the text – on WhatsApp per send, so user text never
+   ends up in a stored Content resource */
+async function sendMessage(to,body="",extra){
+  if(typeof extra==="string") return deliver({ to, mediaUrl:extra });
+  const vars = extra?.vars;
+  if(WHATSAPP_INTERACTIVE!=="off" && fits(extra?.choices)){
+    if(channels.of(to).name==="telegram") return deliver({ to, body:fill(body, vars), choices:extra.choices });
+    if(channels.of(to).name==="whatsapp"){
+      try{
+        const contentSid = await whatsapp.contentSid(
+          { body: extra.heading || body, fallback: body, choices: extra.choices, button: extra.button }, extra.lang, vars);
+        return await deliver({ to, contentSid, ...(vars && { contentVariables: JSON.stringify(vars) }) });
+      }catch(e){
+        console.warn("⚠️ interactive send failed → plain text:", e.message);
       }
+    }
+  }
+  let last;
+  for(const part of bodyParts(vars ? fill(body, vars) : body)) last = await deliver({ to, body:part });
+  return last;
+}
 
-      /* 2-D. absolute last chance – match on phone_number
-              (stored in customer_details.name as "whatsapp:+506…") */
-      if (
-        !data.length &&
-        s.customer_details?.name &&
-        s.customer_details.name.startsWith("whatsapp:+")
-      ) {
-        ({ data, error } = await supabase
-          .from("users")
-          .update(updateFields)
-          .eq("phone_number", s.customer_details.name)
-          .select());
+/* a numbered menu ("1️⃣ Male") → tappable options where WhatsApp allows */
+const LANG_MORE   = { id: "more", title: "➡️ more" };
+const sendChoices = (to, text, extra = [], lang) =>
+  sendMessage(to, text, { ...choicesOf(text, extra), button: "🔢", lang });
+
+/* notices the user didn't just ask for (billing, invites) may land outside
+   WhatsApp's 24 h window – then only an approved template gets through */
+async function sendNotice(to, { lang, lastInbound }, key, vars = {}) {
+  if(channels.of(to).windowed && !inWindow(lastInbound)){
+    const tpl = whatsapp.template(key, lang || "en", vars);
+    if(tpl) return deliver({ to, ...tpl });
+    console.warn(`⚠️ ${key} to ${to}: outside the 24 h window and no template configured`);
+  }
+  return sendMessage(to, await t(key, lang || "en", vars));
+}
+
+/* log (text sealed when LOG_ENCRYPTION_KEY is set) */
+const logRow=d=>supabase.from("translations").insert({
+  ...d, id:uuid(), original_text:logText.seal(d.original_text), translated_text:logText.seal(d.translated_text)
+});
+
+/* Onboarding language reply → registry entry, or null after we've
+   already answered ("more" → next page, "port" → short list, junk → menu) */
+async function resolveLanguage(user, text, errHead, opts = {}) {
+  const from = user.phone_number;
+  if (isMore(text)) {
+    const page = (user.menu_page || 0) + 1;
+    await supabase.from("users").update({ menu_page: page }).eq("id", user.id);
+    await sendChoices(from, languageMenu(page, opts), [LANG_MORE]);
+    return null;
+  }
+  const hits = searchLanguages(text);
+  if (hits.length === 1) return hits[0];
+  await sendChoices(
+    from,
+    hits.length ? languageList(hits) : menuMsg(errHead, user.menu_page || 0, opts),
+    hits.length ? [] : [LANG_MORE]
+  );
+  return null;
+}
+
+/* ====================================================================
+   🔗  Bridges – two linked users, each writes in their own language
+==================================================================== */
+const bridges     = createBridges({ supabase });
+const JOIN_RE     = /^(?:join|accept)(?:\s+([a-z0-9]{4,8}))?$/i;
+const INVITE_RE   = /^invite(?:\s+(\+?[\d\s().-]{7,}))?$/i;
+const SETUP_STEPS = ["target", "source", "gender"];
+const showPhone   = addr => channels.display(addr);
+
+async function userById(id) {
+  const { data } = await supabase.from("users").select("*").eq("id", id).single();
+  return data;
+}
+
+/* pending → active and tell both sides. → null, or the i18n key saying
+   why not: the invite is gone, or either side is already in a chat */
+async function connectBridge(bridge, invitee) {
+  if (bridge.inviter_id === invitee.id) return "bridge.not_found";
+  if (await bridges.activeFor(invitee.id) || await rooms.current(invitee.id)) return "bridge.busy";
+  if (await bridges.activeFor(bridge.inviter_id) || await rooms.current(bridge.inviter_id)) return "bridge.taken";
+  const live = await bridges.accept(bridge, invitee);
+  if (!live) return "bridge.not_found";
+  if (!(await bridges.settle(live))) return "bridge.taken";
+  await bridges.cancelPending([bridge.inviter_id, invitee.id]);
+  const inviter = await userById(bridge.inviter_id);
+  await sendMessage(inviter.phone_number,
+    await say(inviter, "bridge.joined", { phone: showPhone(invitee.phone_number) }));
+  await sendMessage(invitee.phone_number,
+    await say(invitee, "bridge.joined", { phone: showPhone(inviter.phone_number) }));
+  return null;
+}
+
+/* invite / join / end. Returns true when the message was one of them. */
+async function bridgeCommand(user, text) {
+  const from = user.phone_number;
+  const setupDone = user.target_lang && user.voice_gender;
+  let m;
+
+  /* invite [+number] – "invite them to dinner" is just text to translate */
+  if ((m = text.match(INVITE_RE))) {
+    if (!setupDone) {
+      await sendMessage(from, await say(user, "setup.incomplete"));
+      return true;
+    }
+    if (await bridges.activeFor(user.id) || await rooms.current(user.id)) {
+      await sendMessage(from, await say(user, "bridge.busy"));
+      return true;
+    }
+    const to = m[1] ? toAddress(m[1]) : null;
+    if (m[1] && !to)  { await sendMessage(from, await say(user, "bridge.bad_number")); return true; }
+    if (to === from)  { await sendMessage(from, await say(user, "bridge.self"));       return true; }
+
+    const bridge = await bridges.invite(user, to);
+    if (!to) {
+      await sendMessage(from, await say(user, "bridge.code", { code: bridge.code }));
+      return true;
+    }
+
+    /* invitee's own language if we know them, else the one the inviter receives */
+    const { data: known } = await supabase
+      .from("users").select("target_lang, last_inbound_at").eq("phone_number", to).maybeSingle();
+    const lang = known?.target_lang || user.source_lang;
+    try {
+      await sendNotice(to, { lang, lastInbound: known?.last_inbound_at }, "bridge.invite",
+        { phone: showPhone(from), code: bridge.code });
+      await sendMessage(from, await say(user, "bridge.invited", { phone: showPhone(to), code: bridge.code }));
+    } catch (e) {
+      console.error("bridge invite send err:", e.message);
+      await sendMessage(from, await say(user, "bridge.code", { code: bridge.code }));
+    }
+    return true;
+  }
+
+  /* join CODE  |  accept (newest invite to my number) */
+  if ((m = text.match(JOIN_RE))) {
+    const bridge = m[1]
+      ? await bridges.pendingByCode(m[1])
+      : await bridges.pendingForPhone(from);
+    if (!bridge) {
+      await sendMessage(from, await say(user, "bridge.not_found"));
+      return true;
+    }
+    if (await bridges.activeFor(user.id) || await rooms.current(user.id)) {
+      await sendMessage(from, await say(user, "bridge.busy"));
+      return true;
+    }
+    if (!setupDone) {                      // connect once onboarding is done
+      await supabase.from("users").update({ pending_bridge_code: bridge.code }).eq("id", user.id);
+      await sendMessage(from, await say(user, "bridge.after_setup"));
+      return true;
+    }
+    const refused = await connectBridge(bridge, user);
+    if (refused) await sendMessage(from, await say(user, refused));
+    return true;
+  }
+
+  /* end */
+  if (/^end(?:\s+(?:bridge|chat))?$/i.test(text)) {
+    const bridge = await bridges.activeFor(user.id);
+    if (!bridge) {
+      await sendMessage(from, await say(user, "bridge.none"));
+      return true;
+    }
+    await bridges.end(bridge);
+    const other = await userById(bridge.inviter_id === user.id ? bridge.invitee_id : bridge.inviter_id);
+    await sendMessage(from, await say(user, "bridge.ended", { phone: showPhone(other.phone_number) }));
+    await sendMessage(other.phone_number, await say(other, "bridge.ended", { phone: showPhone(from) }));
+    return true;
+  }
+
+  return false;
+}
+
+/* a message → what to translate, in order: the text / caption, then
+   each attachment. Nothing at all still yields one (empty) part. */
+function partsOf(text, media = []) {
+  const parts = [...(text ? [{ text }] : []), ...media];
+  return parts.length ? parts : [{ text: "" }];
+}
+
+/* the inbound job's checkpoint: parts finished by an earlier attempt */
+const stepsOf = job => ({
+  done: job?.payload?.parts_done || 0,
+  mark: n => job?.progress?.({ parts_done: n })
+});
+
+/* the parts an earlier attempt didn't finish; each is checked off once
+   its loop body is through, so a queue retry resumes at the part that
+   failed instead of translating, sending and billing 1..N-1 again */
+async function* pending(parts, steps) {
+  for (let i = steps.done; i < parts.length; i++) {
+    yield parts[i];
+    await steps.mark(i + 1);
+  }
+}
+
+/* Bill the payer (unless bill:false), then transcribe / detect one part.
+   → { original, detected, confidence, held, isAudio, seconds }  ·  { refused: true, seconds }
+     · { skipped: "<i18n key>", vars }  (attachment we can't listen to)
+     · { verbatim: text }  (emoji / numbers / links only – free, passed on as is) */
+async function understand(payer, plan, part, { bill = true } = {}) {
+  let held = null;
+  const take = async amount => {
+    if (!bill) return true;
+    const q = await quota.reserve(payer.id, plan, amount);
+    if (q.ok) held = q.held;
+    return q.ok;
+  };
+  try {
+    if (part.url) {
+      const { kind, type } = classify(part.type);
+      if (!kind) return { skipped: "media.unsupported", vars: { type: label(type) } };
+      const audio = await downloadAsWav(part);
+      if (!audio) return { skipped: "media.no_audio" };
+      try {
+        if (!(await take({ messages: 1, seconds: audio.seconds }))) return { refused: true, seconds: audio.seconds };
+        const r = await transcribe(audio);
+        const d = r.lang ? { lang: r.lang, confidence: null } : await detectLang(r.txt);
+        return {
+          original: r.txt, detected: d.lang, confidence: d.confidence,
+          held, isAudio: true, seconds: audio.seconds
+        };
+      } finally {
+        audio.cleanup();
       }
+    }
+    if (!part.text) return { original: "", held, isAudio: false };
+    if (!translatable(part.text)) return { verbatim: part.text };
+    if (!(await take({ messages: 1 }))) return { refused: true, seconds: 0 };
+    const d = await detectLang(part.text);
+    return { original: part.text, detected: d.lang, confidence: d.confidence, held, isAudio: false, seconds: 0 };
+  } catch (e) {
+    await quota.release(payer.id, held);
+    throw e;
+  }
+}
 
-      if (error || !data.length) {
-        console.error("❌ Supabase update failed / user not found:", error);
-        return res.sendStatus(500);              // let Stripe retry
+/* a part with nothing to translate: hand the reservation back, say why */
+async function nothingToSay(user, payer, msg) {
+  await quota.release(payer.id, msg.held);
+  await sendMessage(user.phone_number, await say(user, msg.skipped || "empty", msg.vars));
+}
+
+/* shared-conversation usage is on the inviter / owner – tell both sides */
+async function refuseShared(sender, payer, plan, seconds, key) {
+  await sendMessage(sender.phone_number, await say(sender, key));
+  if (payer.id !== sender.id) {
+    await sendChoices(payer.phone_number, await quotaMessage(payer, await quota.status(payer.id, plan), seconds));
+  }
+}
+
+/* One message across a bridge: transcribe if audio, translate into the
+   recipient's language, voice it with the recipient's voice. Billed to
+   the inviter, logged with bridge_id for the audit trail. */
+async function relay(bridge, sender, text, media, steps) {
+  const other = await userById(bridge.inviter_id === sender.id ? bridge.invitee_id : bridge.inviter_id);
+  const payer = bridge.inviter_id === sender.id ? sender : await userById(bridge.inviter_id);
+  const plan  = planOf(payer);
+
+  for await (const part of pending(partsOf(text, media), steps)) {
+    const msg = await understand(payer, plan, part);
+    if (msg.refused) return refuseShared(sender, payer, plan, msg.seconds, "bridge.paused");
+    if (msg.verbatim) {
+      await sendMessage(other.phone_number, `💬 ${showPhone(sender.phone_number)}\n${msg.verbatim}`);
+      continue;
+    }
+    if (!msg.original) {
+      await nothingToSay(sender, payer, msg);
+      continue;
+    }
+
+    try {
+      const { original, detected } = msg;
+      const dest       = other.target_lang;
+      const translated = detected === dest ? original : await translate(original, dest, detected, {
+        ...styleOf(sender), context: await recentContext(sender, { bridgeId: bridge.id, others: [other] })
+      });
+
+      await sendMessage(other.phone_number, bidi(`💬 ${showPhone(sender.phone_number)}\n${translated}`, dest));
+      if (msg.isAudio && hasVoice(dest) && wants(other, "audio")) {
+        try {
+          await sendVoice(other, translated, dest);
+        } catch (e) {
+          console.error("bridge TTS/upload error:", e.message);
+        }
       }
 
-      console.log("✅ plan set to", plan, "for user", data[0].id);
+      await logRow({
+        phone_number:    sender.phone_number,
+        original_text:   original,
+        translated_text: translated,
+        language_from:   detected,
+        language_to:     dest,
+        bridge_id:       bridge.id,
+        recipient:       other.phone_number,
+      });
+    } catch (e) {
+      await quota.release(payer.id, msg.held);
+      throw e;
     }
+  }
+}
 
-    /* ─────────  subscription cancelled → downgrade  ───────── */
-    if (event.type === "customer.subscription.deleted") {
-      const sub = event.data.object;
-      const { data, error } = await supabase
-        .from("users")
-        .update({ plan: "FREE" })
-        .eq("stripe_sub_id", sub.id)
-        .select();
+/* ====================================================================
+   👥  Rooms – 3+ people, one translation per distinct language
+==================================================================== */
+const rooms      = createRooms({ supabase });
+const memberName = m => m.nickname || showPhone(m.user.phone_number);
+const roomLabel  = r => r.title ? `${r.title} (${r.code})` : r.code;
 
-      if (error || !data.length) {
-        console.error("❌ downgrade failed / sub not found:", error);
-        return res.sendStatus(500);              // let Stripe retry
-      }
+async function roomNotice(list, key, vars) {
+  for (const m of list) await sendMessage(m.user.phone_number, await say(m.user, key, vars));
+}
 
-      console.log("↩️  subscription cancelled for", sub.id);
+/* room create [title] | join CODE [nickname] | leave | list | nick NAME */
+async function roomCommand(user, text) {
+  const m = text.match(/^room(?:\s+(create|join|leave|list|nick)(?:\s+(.+))?)?$/i);
+  if (!m) return false;
+  const from = user.phone_number;
+  const sub  = (m[1] || "list").toLowerCase();
+  const arg  = m[2]?.trim() || "";
+
+  if (!user.target_lang || !user.voice_gender) {
+    await sendMessage(from, await say(user, "setup.incomplete"));
+    return true;
+  }
+  const room = await rooms.current(user.id);
+
+  if (sub === "create" || sub === "join") {
+    if (room || await bridges.activeFor(user.id)) {
+      await sendMessage(from, await say(user, "room.busy"));
+      return true;
     }
+  }
 
-    /* 4. ACK Stripe so it stops retrying */
-    res.json({ received: true });
+  if (sub === "create") {
+    const r = await rooms.create(user, arg || null);
+    await sendMessage(from, await say(user, "room.created", {
+      room: roomLabel(r), code: r.code, max: quota.limitsFor(planOf(user)).roomMembers ?? "∞"
+    }));
+    return true;
+  }
+
+  if (sub === "join") {
+    const [code, ...nick] = arg.split(/\s+/);
+    if (!code) {
+      await sendMessage(from, await say(user, "room.usage"));
+      return true;
+    }
+    const target = await rooms.byCode(code);
+    if (!target) {
+      await sendMessage(from, await say(user, "room.not_found"));
+      return true;
+    }
+    const roster = await rooms.roster(target.id);
+    const owner  = await userById(target.owner_id);
+    const max    = quota.limitsFor(planOf(owner)).roomMembers;
+    if (max != null && roster.length >= max) {
+      await sendMessage(from, await say(user, "room.full", { max }));
+      return true;
+    }
+    const me = await rooms.join(target, user, nick.join(" ") || null);
+    await roomNotice(roster, "room.member_joined", { name: memberName({ ...me, user }) });
+    await sendMessage(from, await say(user, "room.joined", {
+      room: roomLabel(target), count: roster.length + 1
+    }));
+    return true;
+  }
+
+  if (!room) {
+    await sendMessage(from, await say(user, "room.none"));
+    return true;
+  }
+
+  if (sub === "leave") {
+    const name = memberName({ ...room.me, user });
+    const res  = await rooms.leave(room, user);
+    await sendMessage(from, await say(user, "room.left", { room: roomLabel(room) }));
+    if (!res.closed) {
+      await roomNotice(await rooms.roster(room.id), "room.member_left", { name });
+      if (res.owner) await sendMessage(res.owner.phone_number, await say(res.owner, "room.owner", { room: roomLabel(room) }));
+    }
+    return true;
+  }
+
+  if (sub === "nick") {
+    if (!arg) {
+      await sendMessage(from, await say(user, "room.usage"));
+      return true;
+    }
+    await rooms.rename(room, user, arg.slice(0, 40));
+    await sendMessage(from, await say(user, "room.renamed", { name: arg.slice(0, 40) }));
+    return true;
   }
-);
 
+  /* "room" / "room list" */
+  const roster = await rooms.roster(room.id);
+  const lines  = roster.map(r => {
+    const l = language(r.user.target_lang);
+    return `• ${memberName(r)}${r.user_id === room.owner_id ? " 👑" : ""} – ${l ? `${l.flag} ${l.native}` : r.user.target_lang}`;
+  });
+  await sendMessage(from, await say(user, "room.list", {
+    room: roomLabel(room), code: room.code, members: lines.join("\n")
+  }));
+  return true;
+}
+
+/* One message to every other member: transcribe once, translate once per
+   language, voice per member (same voice → speak() cache hit). Billed
+   to the room owner. */
+async function fanOut(room, sender, text, media, steps) {
+  const roster = await rooms.roster(room.id);
+  const others = roster.filter(r => r.user_id !== sender.id);
+  if (!others.length) {
+    await sendMessage(sender.phone_number, await say(sender, "room.alone", { code: room.code }));
+    return;
+  }
+  const owner = room.owner_id === sender.id ? sender : await userById(room.owner_id);
+  const plan  = planOf(owner);
+  const head  = `💬 ${memberName({ ...room.me, user: sender })}`;
+  const members = others.map(r => r.user);
+  const byLang  = new Map();
+  for (const r of others) byLang.set(r.user.target_lang, [...(byLang.get(r.user.target_lang) || []), r]);
+
+  for await (const part of pending(partsOf(text, media), steps)) {
+    const msg = await understand(owner, plan, part);
+    if (msg.refused) return refuseShared(sender, owner, plan, msg.seconds, "room.paused");
+    if (msg.verbatim) {
+      for (const r of others) await sendMessage(r.user.phone_number, `${head}\n${msg.verbatim}`);
+      continue;
+    }
+    if (!msg.original) {
+      await nothingToSay(sender, owner, msg);
+      continue;
+    }
+
+    try {
+      const { original, detected } = msg;
+      for (const [lang, group] of byLang) {
+        const translated = detected === lang ? original : await translate(original, lang, detected, {
+          ...styleOf(sender), context: await recentContext(sender, { roomId: room.id, lang, others: members })
+        });
+        for (const r of group) {
+          await sendMessage(r.user.phone_number, bidi(`${head}\n${translated}`, lang));
+          if (msg.isAudio && hasVoice(lang) && wants(r.user, "audio")) {
+            try {
+              await sendVoice(r.user, translated, lang);
+            } catch (e) {
+              console.error("room TTS/upload error:", e.message);
+            }
+          }
+        }
+        await logRow({
+          phone_number:    sender.phone_number,
+          original_text:   original,
+          translated_text: translated,
+          language_from:   detected,
+          language_to:     lang,
+          room_id:         room.id,
+        });
+      }
+    } catch (e) {
+      await quota.release(owner.id, msg.held);
+      throw e;
+    }
+  }
+}
 
 /* ====================================================================
-   2️⃣  CONSTANTS / HELPERS
+   ⚙️  Settings – voice, accent, speed, what a voice note gets back
+   users.settings_step: "menu" | "accent" | "voice:<lang>:<locale>"
+                        | "speed" | "outputs"   (null = not in settings)
 ==================================================================== */
-const MENU = {
-  1:{ name:"English",    code:"en" },
-  2:{ name:"Spanish",    code:"es" },
-  3:{ name:"French",     code:"fr" },
-  4:{ name:"Portuguese", code:"pt" },
-  5:{ name:"German",     code:"de" }
-};
-const DIGITS = Object.keys(MENU);
-const menuMsg = t =>
-  `${t}\n\n${DIGITS.map(d=>`${d}️⃣ ${MENU[d].name} (${MENU[d].code})`).join("\n")}`;
-const pickLang = txt => {
-  const m = txt.trim(), d = m.match(/^\d/);
-  if (d && MENU[d[0]]) return MENU[d[0]];
-  const lc = m.toLowerCase();
-  return Object.values(MENU).find(o=>o.code===lc||o.name.toLowerCase()===lc);
-};
-const paywallMsg = {
-  en: `⚠️ You’ve used your 10 free translations. For unlimited access, please choose
-one of the subscription options below:
+const SPEEDS = [["settings.slow", 0.75], ["settings.normal", 0.9], ["settings.fast", 1.1], ["settings.faster", 1.3]];
+
+/* "outputs": each number switches one part on or off – any mix but none */
+const outputsOf = user => user.reply_outputs || OUTPUTS;
+function toggleOutput(user, out) {
+  const on   = outputsOf(user);
+  const next = on.includes(out) ? on.filter(o => o !== out) : OUTPUTS.filter(o => o === out || on.includes(o));
+  return next.length ? next : null;
+}
 
-1️⃣ Monthly  $1.99
-2️⃣ Annual   $19.99`,
+/* the locales a user can speak with, for both of their languages */
+const accentChoices = user =>
+  [...new Set([user.source_lang, user.target_lang])].filter(hasVoice).flatMap(code => {
+    const list = accentsOf(code).length ? accentsOf(code) : [[voiceLocale(code), ""]];
+    return list.map(([locale, where]) => ({
+      lang: code, locale, label: where ? `${language(code).native} – ${where}` : language(code).native
+    }));
+  });
 
-  es: `⚠️ Has usado tus 10 traducciones gratuitas. Para acceso ilimitado, elige
-una de las siguientes opciones de suscripción:
+const chosenLocale = (user, code) => user.voices?.[code]?.split("-").slice(0, 2).join("-") || voiceLocale(code);
+
+async function settingsMenu(user) {
+  const speed   = SPEEDS.find(([, r]) => r === (Number(user.speaking_rate) || 0.9)) || SPEEDS[1];
+  const outputs = await Promise.all(outputsOf(user).map(o => say(user, `settings.out.${o}`)));
+  const accents = accentChoices(user)
+    .filter(a => a.locale === chosenLocale(user, a.lang) && accentsOf(a.lang).length)
+    .map(a => user.voices?.[a.lang]?.split("-").length > 2 ? `${a.label} (${user.voices[a.lang]})` : a.label);
+  return say(user, "settings.menu", {
+    voice  : await say(user, user.voice_gender === "FEMALE" ? "settings.female" : "settings.male"),
+    accent : accents.join(" · ") || await say(user, "settings.auto"),
+    speed  : await say(user, speed[0]),
+    outputs: outputs.join(" + ")
+  });
+}
 
-1️⃣ Mensual    $1.99
-2️⃣ Anual     $19.99`,
+const numbered = lines => lines.map((l, i) => `${keycap(i + 1)} ${l}`).join("\n");
 
-  fr: `⚠️ Vous avez utilisé vos 10 traductions gratuites. Pour un accès illimité, choisissez
-l’une des options d’abonnement ci-dessous :
+/* what to show for each step */
+async function settingsPrompt(user, step) {
+  if (step === "menu") return settingsMenu(user);
+  if (step === "accent") {
+    return say(user, "settings.accent", { options: numbered(accentChoices(user).map(a => a.label)) });
+  }
+  if (step.startsWith("voice:")) {
+    const [, , locale] = step.split(":");
+    const names = (await providers.voices(locale, user.voice_gender)).slice(0, 8);
+    return say(user, "settings.voice", {
+      accent : locale,
+      options: numbered([await say(user, "settings.auto"), ...names.map(n => n.slice(locale.length + 1))])
+    });
+  }
+  if (step === "outputs") {
+    const on = outputsOf(user);
+    return say(user, "settings.outputs", Object.fromEntries(OUTPUTS.map(o => [o, on.includes(o) ? "✅" : "⬜"])));
+  }
+  return say(user, `settings.${step}`);                 // speed lists its own options
+}
 
-1️⃣ Mensuel   $1.99
-2️⃣ Annuel    $19.99`,
+async function goSettings(user, step, patch = {}) {
+  await supabase.from("users").update({ settings_step: step, ...patch }).eq("id", user.id);
+  if (step) await sendChoices(user.phone_number, await settingsPrompt({ ...user, ...patch }, step));
+}
 
-  pt: `⚠️ Você usou suas 10 traduções gratuitas. Para acesso ilimitado, escolha
-uma das opções de assinatura abaixo:
+/* a reply while users.settings_step is set → handled? Anything that
+   isn't a number closes settings and is processed like any message. */
+async function settingsReply(user, text) {
+  const n    = /^\d{1,2}$/.test(text.trim()) ? +text.trim() : null;
+  const step = user.settings_step;
+  if (n === null) {
+    await goSettings(user, null);
+    return false;
+  }
+  const retry = () => goSettings(user, step);
+
+  if (step === "menu") {
+    switch (n) {
+      case 0:
+        await goSettings(user, null);
+        await sendMessage(user.phone_number, await say(user, "settings.done"));
+        break;
+      case 1: {                                       // other gender; exact voice names are per gender
+        const voices = Object.fromEntries(Object.entries(user.voices || {})
+          .map(([code, v]) => [code, v.split("-").slice(0, 2).join("-")]));
+        await goSettings(user, "menu", { voice_gender: user.voice_gender === "MALE" ? "FEMALE" : "MALE", voices });
+        break;
+      }
+      case 2: {
+        const choices = accentChoices(user);
+        if (choices.length === 1) await goSettings(user, `voice:${choices[0].lang}:${choices[0].locale}`);
+        else if (choices.length) await goSettings(user, "accent");
+        else await retry();
+        break;
+      }
+      case 3:  await goSettings(user, "speed");   break;
+      case 4:  await goSettings(user, "outputs"); break;
+      default: await retry();
+    }
+    return true;
+  }
 
-1️⃣ Mensal    US$1.99
-2️⃣ Anual     US$19.99`,
+  if (n === 0) {
+    await goSettings(user, "menu");
+    return true;
+  }
 
-  de: `⚠️ Du hast deine 10 kostenlosen Übersetzungen aufgebraucht. Für unbegrenzten Zugriff wähle
-eine der folgenden Abo-Optionen:
+  let patch = null, next = "menu";
+  if (step === "accent") {
+    const a = accentChoices(user)[n - 1];
+    if (a) [patch, next] = [{ voices: { ...user.voices, [a.lang]: a.locale } }, `voice:${a.lang}:${a.locale}`];
+  } else if (step.startsWith("voice:")) {
+    const [, code, locale] = step.split(":");
+    const names = (await providers.voices(locale, user.voice_gender)).slice(0, 8);
+    const pick  = n === 1 ? locale : names[n - 2];
+    if (pick) patch = { voices: { ...user.voices, [code]: pick } };
+  } else if (step === "speed") {
+    if (SPEEDS[n - 1]) patch = { speaking_rate: SPEEDS[n - 1][1] };
+  } else if (step === "outputs") {
+    const outputs = OUTPUTS[n - 1] && toggleOutput(user, OUTPUTS[n - 1]);
+    if (outputs) [patch, next] = [{ reply_outputs: outputs }, "outputs"];
+  }
+  await (patch ? goSettings(user, next, patch) : retry());
+  return true;
+}
 
-1️⃣ Monatlich   $1.99
-2️⃣ Jährlich    $19.99`
-};
+/* ====================================================================
+   ↔️  Direction – which way a message goes (lib/direction.js), or ask
+==================================================================== */
+const ASK_TTL_MS = 15 * 60e3;                   // an unanswered "1 or 2?" expires
+
+/* translate one understood part into `dest` and reply as "settings" say */
+async function translateBack(user, msg, dest) {
+  const { original, detected } = msg;
+  const from       = user.phone_number;
+  const translated = await translate(original, dest, detected, {
+    ...styleOf(user), context: await recentContext(user)
+  });
 
-/* ────────── new constants ────────── */
-const WELCOME_MSG = `Welcome to TuCanChat🦜
-1️⃣ I speak English 🇺🇸 – type 1
-2️⃣ Hablo Español 🇪🇸 – escribe 2
-3️⃣ Je parle français 🇫🇷 – tapez 3
-4️⃣ Eu falo português 🇵🇹 – digite 4
-5️⃣ Ich spreche Deutsch 🇩🇪 – tippe 5`;
-
-/* onboarding helper */
-const RESET_HELP = `✳️  Type *reset* anytime to restart everything.
-✳️  Type *reset source* to change only the language you receive messages in.`;
-
-/* global config */
-const MEDIA_DELAY_MS = 3500;   // wait so MP3 lands before tutorial prompt
-
-/* audio helpers */
-const toWav = (i,o)=>new Promise((res,rej)=>
-  ffmpeg(i).audioCodec("pcm_s16le")
-    .outputOptions(["-ac","1","-ar","16000","-f","wav"])
-    .on("error",rej).on("end",()=>res(o))
-    .save(o)
-);
-async function whisper(wav){
-  try{
-    const r = await openai.audio.transcriptions.create({
-      model:"whisper-large-v3",
-      file:fs.createReadStream(wav),
-      response_format:"json"
-    });
-    return { txt:r.text, lang:(r.language||"").slice(0,2) };
-  }catch{
-    const r = await openai.audio.transcriptions.create({
-      model:"whisper-1",
-      file:fs.createReadStream(wav),
-      response_format:"json"
-    });
-    return { txt:r.text, lang:(r.language||"").slice(0,2) };
-  }
-}
-const detectLang = async q =>
-  (await fetch(
-    `https://translation.googleapis.com/language/translate/v2/detect?key=${GOOGLE_TTS_KEY}`,
-    {method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({q})}
-  ).then(r=>r.json())).data.detections[0][0].language;
-async function translate(text,target){
-  const r=await openai.chat.completions.create({
-    model:"gpt-4o-mini",
-    messages:[
-      {role:"system",content:
-        `You are a professional translator.
-         Never translate the literal keyword "reset"; always leave it as the
-         lowercase English word "reset".Never translate the literal keyword "reset source"; always leave it as the
-         lowercase English word "reset source".
-         Translate everything else to ${target}. Return ONLY the translation.`},
-       { role: "user",
-        content: `Translate this into ${target}:\n\n${text}` }
-    ],
-    max_tokens:400
+  /* log */
+  await logRow({
+    phone_number:    from,
+    original_text:   original,
+    translated_text: translated,
+    language_from:   detected,
+    language_to:     dest,
   });
-  return r.choices[0].message.content.trim();
-}
-
-/* Google TTS voices */
-let voiceCache=null;
-async function loadVoices(){
-  if(voiceCache)return;
-  const {voices}=await fetch(
-    `https://texttospeech.googleapis.com/v1/voices?key=${GOOGLE_TTS_KEY}`
-  ).then(r=>r.json());
-  voiceCache=voices.reduce((m,v)=>{
-    v.languageCodes.forEach(full=>{
-      const code=full.split("-",1)[0];
-      (m[code]||=[]).push(v);
-    });
-    return m;
-  },{});
-}
-(async()=>{try{await loadVoices();console.log("🔊 voice cache ready");}catch{}})();
-async function pickVoice(lang,gender){
-  await loadVoices();
-  let list=(voiceCache[lang]||[]).filter(v=>v.ssmlGender===gender);
-  if(!list.length) list=voiceCache[lang]||[];
-
-  /* ⭐ Prefer en-US over en-AU, en-GB, etc. */
-  if(lang==="en"){
-    const us=list.filter(v=>v.name.startsWith("en-US"));
-    if(us.length) list=us;
-  }
-
-  return (
-    list.find(v=>v.name.includes("Neural2"))||
-    list.find(v=>v.name.includes("WaveNet"))||
-    list.find(v=>v.name.includes("Standard"))||
-    {name:"en-US-Standard-A"}
-  ).name;
-}
-async function tts(text,lang,gender){
-  const synth=async name=>{
-    const lc=name.split("-",2).join("-");
-    const r=await fetch(
-      `https://texttospeech.googleapis.com/v1/text:synthesize?key=${GOOGLE_TTS_KEY}`,
-      {
-        method:"POST",
-        headers:{"Content-Type":"application/json"},
-        body:JSON.stringify({
-          input:{text},
-          voice:{languageCode:lc,name},
-          audioConfig:{audioEncoding:"MP3",speakingRate:0.9}
-        })
+
+  /* ───── reply flow ───── */
+  if (!msg.isAudio) {                           // text
+    await sendMessage(from, bidi(translated, dest));
+
+  } else {                                      // voice / audio / video – as chosen in "settings"
+    const audio = wants(user, "audio") && hasVoice(dest);
+    if (wants(user, "transcript"))            // 1. transcript
+      await sendMessage(from, bidi(`🗣 ${original}`, detected));
+    if (wants(user, "translation") || !audio) // 2. translation (always, if there'll be no audio)
+      await sendMessage(from, bidi(translated, dest));
+    if (audio) {                              // 3. audio reply (if Google has a voice)
+      try {
+        await sendVoice(user, translated, dest);
+      } catch (e) {
+        console.error("TTS/upload error:", e.message);
       }
-    ).then(r=>r.json());
-    return r.audioContent?Buffer.from(r.audioContent,"base64"):null;
-  };
-  let buf=await synth(await pickVoice(lang,gender)); if(buf)return buf;
-  buf=await synth(lang);               if(buf)return buf;
-  buf=await synth("en-US-Standard-A"); if(buf)return buf;
-  throw new Error("TTS failed");
+    }
+  }
 }
 
-/* Storage bucket (self-healing) */
-async function ensureBucket(){
-  const { error } = await supabase.storage.createBucket("tts-voices",{ public:true });
-  if(error && error.code!=="PGRST116") throw error;
+/* unsure which way: hand the reservation back, keep the text (sealed
+   like the logs), ask */
+async function askDirection(user, msg) {
+  await quota.release(user.id, msg.held);
+  await supabase.from("users").update({
+    pending_direction: {
+      text: logText.seal(msg.original), lang: msg.detected, is_audio: msg.isAudio,
+      seconds: msg.seconds || 0, at: new Date().toISOString()
+    }
+  }).eq("id", user.id);
+  const text = await say(user, "direction.ask", {
+    text: "{{1}}",                                // filled per send – see sendMessage
+    a   : language(user.source_lang)?.native || user.source_lang,
+    b   : language(user.target_lang)?.native || user.target_lang
+  });
+  await sendMessage(user.phone_number, text, {
+    ...choicesOf(text), button: "🔢", vars: { 1: clip(msg.original, 80) }
+  });
 }
-async function uploadAudio(buffer){
-  const fn=`tts_${uuid()}.mp3`;
 
-  let up=await supabase
-    .storage.from("tts-voices")
-    .upload(fn,buffer,{contentType:"audio/mpeg",upsert:true});
+/* the answer: "1" → contact's language, "2" → own. Anything else drops
+   the question and is handled as a new message (→ false). */
+async function directionReply(user, text, plan, ready) {
+  const p = user.pending_direction;
+  await supabase.from("users").update({ pending_direction: null }).eq("id", user.id);
+  const pick = text.trim();
+  if (!/^[12]$/.test(pick) || Date.now() - Date.parse(p.at) > ASK_TTL_MS) return false;
+
+  let held = null;
+  if (ready) {
+    const q = await quota.reserve(user.id, plan, { messages: 1, seconds: p.seconds });
+    if (!q.ok) {
+      await sendChoices(user.phone_number, await quotaMessage(user, await quota.status(user.id, plan), p.seconds));
+      return true;
+    }
+    held = q.held;
+  }
+  try {
+    const msg = { original: logText.open(p.text), detected: p.lang, isAudio: p.is_audio, held };
+    await translateBack(user, msg, pick === "1" ? user.source_lang : user.target_lang);
+  } catch (e) {
+    await quota.release(user.id, held);
+    throw e;
+  }
+  return true;
+}
 
-  if(up.error && /Bucket not found/i.test(up.error.message)){
-    console.warn("⚠️ Bucket missing → creating …");
-    await ensureBucket();
-    up=await supabase
-      .storage.from("tts-voices")
-      .upload(fn,buffer,{contentType:"audio/mpeg",upsert:true});
+/* ====================================================================
+   📱  Channels – WhatsApp, SMS, Telegram (lib/channels) on one account
+==================================================================== */
+const identity = createIdentity({ supabase });
+const LINK_RE  = /^(?:link|vincular|lier|verkn[uü]pfen)\s+([a-z0-9]{4,8})$/i;
+
+/* "link CODE" from another address → it joins the code's owner.
+   `current` = whoever this address belongs to now; `own` = it is that
+   account's primary address – a paid one is never given up.
+   Returns true when the message was handled. */
+async function linkChannel(from, code, current = null, own = !!current) {
+  if (own && hasPaidAccess(current)) {
+    await sendMessage(from, await say(current, "link.paid"));
+    return true;
   }
-  if(up.error) throw up.error;
-  return `${SUPABASE_URL}/storage/v1/object/public/tts-voices/${fn}`;
+  const owner = await identity.redeem(code, from);
+  if (!owner) {
+    if (current) await sendMessage(from, await say(current, "link.bad"));
+    return !!current;                      // unknown code from a stranger → normal onboarding
+  }
+  await sendMessage(from, await say(owner, "link.done", { address: showPhone(owner.phone_number) }));
+  if (owner.phone_number !== from) {
+    await sendMessage(owner.phone_number, await say(owner, "link.added", { address: showPhone(from) }));
+  }
+  return true;
 }
 
-/* skinny Twilio send */
-async function sendMessage(to,body="",mediaUrl){
-  const p={ from:WHATSAPP_FROM, to };
-  if(mediaUrl) p.mediaUrl=[mediaUrl];
-  else         p.body=body;
-  await twilioClient.messages.create(p);
+/* ====================================================================
+   🔒  Privacy – "mydata" export, "delete my data", log retention
+==================================================================== */
+const EXPORT_TTL_HOURS = 24;
+const ERASE_TTL_MS     = 10 * 60e3;               // an unanswered "delete everything?" expires
+const exportStore = createAudioStore({
+  supabase, bucket: "user-exports", urlTtlSec: EXPORT_TTL_HOURS * 3600, retentionDays: 1
+});
+exportStore.init().catch(e=>console.error("export bucket init:", e.message));
+const privacy = createPrivacy({
+  supabase, stripe, audioStore, exportStore, open: logText.open, retentionDays: +LOG_RETENTION_DAYS
+});
+
+async function purgeLogs(){
+  const n = await privacy.purge();
+  if(n) console.log(`🧹 purged ${n} log row(s) older than ${LOG_RETENTION_DAYS} days`);
+  await exportStore.purge();
+}
+setInterval(()=>purgeLogs().catch(e=>console.error("log purge:", e.message)), 60 * 60e3).unref();
+purgeLogs().catch(e=>console.error("log purge:", e.message));
+
+/* every address of the account, primary first */
+const addressesOf = async (user, primary) => [primary, ...await identity.addresses(user.id)];
+
+/* JSON of everything we hold → private bucket → a link valid for EXPORT_TTL_HOURS */
+async function sendExport(user, from, primary) {
+  const data = await privacy.exportFor({ ...user, phone_number: primary }, await addressesOf(user, primary));
+  const path = await exportStore.upload(`${exportPrefix(user.id)}${uuid()}.json`,
+    Buffer.from(JSON.stringify(data, null, 2)), "application/json");
+  await sendMessage(from, await say(user, "mydata.ready", {
+    link: await exportStore.url(path), hours: EXPORT_TTL_HOURS
+  }));
 }
 
-/* log */
-const logRow=d=>supabase.from("translations").insert({ ...d,id:uuid() });
+/* before an erase: deleting the user row would take the rooms they host
+   and their bridge with it, unannounced – so they leave the room
+   (hosting passes on, as with "room leave") and the bridge ends, and the
+   others are told */
+async function checkOut(user, primary) {
+  const room = await rooms.current(user.id);
+  if (room) {
+    const name = memberName({ ...room.me, user });
+    const res  = await rooms.leave(room, user);
+    if (!res.closed) {
+      await roomNotice(await rooms.roster(room.id), "room.member_left", { name });
+      if (res.owner) await sendMessage(res.owner.phone_number, await say(res.owner, "room.owner", { room: roomLabel(room) }));
+    }
+  }
+  for (let bridge; (bridge = await bridges.activeFor(user.id));) {
+    await bridges.end(bridge);
+    const other = await userById(bridge.inviter_id === user.id ? bridge.invitee_id : bridge.inviter_id);
+    if (other) await sendMessage(other.phone_number, await say(other, "bridge.ended", { phone: showPhone(primary) }));
+  }
+}
+
+/* the answer to "delete my data?": "1" erases, "2" cancels, anything
+   else drops the question and is handled as a new message (→ false) */
+async function eraseReply(user, text, primary) {
+  await supabase.from("users").update({ erase_requested_at: null }).eq("id", user.id);
+  const pick = text.trim();
+  if (!/^[12]$/.test(pick) || Date.now() - Date.parse(user.erase_requested_at) > ERASE_TTL_MS) return false;
+  if (pick === "2") {
+    await sendMessage(user.phone_number, await say(user, "erase.cancelled"));
+    return true;
+  }
+  const addresses = await addressesOf(user, primary);
+  await checkOut(user, primary);
+  await quota.carry(user.id, addresses);           // erasing isn't a fresh allowance
+  const gone = await privacy.erase({ ...user, phone_number: primary }, addresses);
+  console.log(`🗑️  erased user ${user.id}: ${gone.translations} translation(s), ${gone.audio} audio file(s)`);
+  await sendMessage(user.phone_number, await say(user, "erase.done"));
+  return true;
+}
+
+/* ====================================================================
+   🧭  Commands – see lib/commands.js; order = precedence
+==================================================================== */
+const commands  = createCommands();
+const HISTORY_MAX = 20;
+const setupDone = user => !!(user.source_lang && user.target_lang && user.voice_gender);
+const clip      = (s, n = 200) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+/* this user's latest translations, newest first */
+async function recentTranslations(phone, n) {
+  const { data, error } = await supabase
+    .from("translations")
+    .select("original_text, translated_text, language_from, language_to")
+    .eq("phone_number", phone)
+    .order("created_at", { ascending: false })
+    .limit(n);
+  if (error) throw error;
+  return (data || []).map(r => ({
+    ...r, original_text: logText.open(r.original_text), translated_text: logText.open(r.translated_text)
+  }));
+}
+
+/* "voice" / "voice female" / "voz 2" … → "MALE" | "FEMALE" | null */
+const MALE_RE   = /^(?:1|m|male|man|hombre|masculin[oa]?|homme|homem|mannlich|mann)$/;
+const FEMALE_RE = /^(?:2|f|female|woman|mujer|feminin[oa]?|femme|mulher|weiblich|frau)$/;
+
+const ON_RE  = /^(?:on|yes|si|oui|sim|ja|an|ein)$/;
+const OFF_RE = /^(?:off|no|non|nao|nein|aus)$/;
+
+/* "tone <word>" → users patch; the first match wins */
+const TONE_WORDS = [
+  [/^(?:formal|usted|sie|vous|formell|formel)$/,                 { formality: "formal" }],
+  [/^(?:informal|tu|du|voce|informell|informel)$/,               { formality: "informal" }],
+  [/^(?:casual|relaxed|casuel|locker)$/,                         { tone: "casual" }],
+  [/^(?:business|professional|negocios|profesional|affaires|negocio|geschaftlich)$/, { tone: "business" }],
+  [/^(?:auto|normal|neutral|neutro|neutre|reset)$/,              { formality: null, tone: null }]
+];
+
+const toneVars = async user => ({
+  formality: await say(user, `tone.${user.formality || "auto"}`),
+  tone     : await say(user, `tone.${user.tone || "auto"}`)
+});
+
+/* glossary list | add <term>[ = <render>] | remove <term> | clear */
+const GLOSSARY_OPS = [
+  ["list",   /^(?:list|lista|liste)$/],
+  ["add",    /^(?:add|anadir|agregar|ajouter|adicionar|hinzufugen)$/],
+  ["remove", /^(?:remove|delete|quitar|borrar|eliminar|supprimer|retirer|remover|apagar|entfernen|loschen)$/],
+  ["clear",  /^(?:clear|vaciar|vider|limpar|leeren)$/]
+];
+
+async function glossaryCommand(user, from, arg, raw) {
+  const [word = "list"] = arg.split(" ");
+  const op   = GLOSSARY_OPS.find(([, re]) => re.test(word))?.[0];
+  if (!op) return false;
+  const rest    = raw.split(/\s+/).slice(1).join(" ");
+  const entries = user.glossary || [];
+  const save    = g => supabase.from("users").update({ glossary: g }).eq("id", user.id);
+
+  if (op === "list") {
+    if (!entries.length) return sendMessage(from, await say(user, "glossary.empty"));
+    const lines = entries.map(g => (g.render ? `• ${g.term} → ${g.render}` : `• ${g.term}`));
+    return sendMessage(from, await say(user, "glossary.list", { entries: lines.join("\n") }));
+  }
+  if (op === "clear") {
+    await save([]);
+    return sendMessage(from, await say(user, "glossary.cleared"));
+  }
+  if (op === "remove") {
+    if (!rest || !glossary.has(entries, rest)) {
+      return sendMessage(from, await say(user, "glossary.not_found", { term: rest }));
+    }
+    await save(glossary.remove(entries, rest));
+    return sendMessage(from, await say(user, "glossary.removed", { term: rest }));
+  }
+  const entry = glossary.parseEntry(rest);
+  if (!entry) return sendMessage(from, await say(user, "glossary.usage"));
+  if (!glossary.has(entries, entry.term) && entries.length >= glossary.MAX_ENTRIES) {
+    return sendMessage(from, await say(user, "glossary.full", { max: glossary.MAX_ENTRIES }));
+  }
+  await save(glossary.upsert(entries, entry));
+  await sendMessage(from, entry.render
+    ? await say(user, "glossary.mapped", { term: entry.term, render: entry.render })
+    : await say(user, "glossary.kept", { term: entry.term }));
+}
+
+commands
+  .add({
+    name : "help",
+    words: { en: ["help", "commands"], es: ["ayuda", "comandos"], fr: ["aide", "commandes"],
+             pt: ["ajuda", "comandos"], de: ["hilfe", "befehle"] },
+    run  : async ({ user, from }) => {
+      const lines = await Promise.all(commands.helpFor(user.target_lang || "en")
+        .map(async c => `• *${c.usage}* – ${await say(user, c.help)}`));
+      await sendMessage(from, `${await say(user, "help.heading")}\n${lines.join("\n")}`);
+    }
+  })
+
+  .add({
+    name : "settings",
+    words: { en: ["settings", "preferences"], es: ["ajustes", "configuracion"], fr: ["parametres", "reglages"],
+             pt: ["configuracoes", "ajustes"], de: ["einstellungen"] },
+    help : "cmd.settings",
+    run  : async ({ user, from }) => {
+      if (!setupDone(user)) {
+        await sendMessage(from, await say(user, "setup.incomplete"));
+        return;
+      }
+      await goSettings(user, "menu");
+    }
+  })
+
+  /* ONLY the “language you receive messages in” */
+  .add({
+    name : "reset source",
+    words: { en: ["reset source"] },
+    help : "cmd.reset_source",
+    run  : async ({ user, from }) => {
+      await supabase.from("users").update({
+        source_lang   : null,
+        language_step : "source",
+        menu_page     : 0
+        // keep target_lang, voice_gender
+      }).eq("id", user.id);
+
+      await sendChoices(from,
+        menuMsg(await say(user, "source.heading"), 0, { exclude: user.target_lang }), [LANG_MORE]);
+    }
+  })
+
+  /* full reset */
+  .add({
+    name : "reset",
+    words: { en: ["reset", "change language"], es: ["cambiar idioma"], fr: ["changer de langue"],
+             pt: ["mudar idioma"], de: ["sprache andern"] },
+    help : "cmd.reset",
+    run  : async ({ user, from }) => {
+      await supabase.from("users").update({
+        language_step : "target",
+        menu_page     : 0,
+        source_lang   : null,
+        target_lang   : null,
+        voice_gender  : null
+        // usage is NOT reset – allowances only refill at the start of the month
+      }).eq("id", user.id);
+
+      await sendChoices(from, WELCOME_MSG, [LANG_MORE]);
+    }
+  })
+
+  /* billing / account overview */
+  .add({
+    name : "billing",
+    words: { en: ["billing", "account"], es: ["cuenta", "facturacion"], fr: ["compte", "facturation"],
+             pt: ["conta", "assinatura"], de: ["konto", "abo"] },
+    help : "cmd.billing",
+    run  : async ({ user, from }) => {
+      try {
+        await sendMessage(from, await accountSummary(user));
+      } catch (e) {
+        console.error("billing summary err:", e.message);
+        await sendMessage(from, await say(user, "pay.error"));
+      }
+    }
+  })
+
+  /* also send replies as an MP3 file next to the voice note */
+  .add({
+    name : "mp3",
+    words: { en: ["mp3"] },
+    args : "required",
+    usage: "mp3 on",
+    help : "cmd.mp3",
+    run  : async ({ user, from, arg }) => {
+      if (arg !== "on" && arg !== "off") return false;
+      await supabase.from("users").update({ audio_mp3: arg === "on" }).eq("id", user.id);
+      await sendMessage(from, await say(user, arg === "on" ? "mp3.on" : "mp3.off"));
+    }
+  })
+
+  .add({
+    name : "history",
+    words: { en: ["history"], es: ["historial"], fr: ["historique"], pt: ["historico"], de: ["verlauf"] },
+    args : "optional",
+    help : "cmd.history",
+    run  : async ({ user, from, arg }) => {
+      if (arg && !/^\d+$/.test(arg)) return false;
+      const rows = await recentTranslations(from, Math.min(+arg || +HISTORY_SIZE, HISTORY_MAX));
+      if (!rows.length) {
+        await sendMessage(from, await say(user, "history.empty"));
+        return;
+      }
+      /* newest first until one message is full, then shown oldest first */
+      const items = [];
+      let size = 100;                                  // room for the heading
+      for (const r of rows) {
+        const item = `🗣 ${clip(r.original_text || "")}\n➡️ ${bidi(clip(r.translated_text || ""), r.language_to)}`;
+        if ((size += item.length + 2) > MESSAGE_CHARS && items.length) break;
+        items.unshift(item);
+      }
+      await sendMessage(from, `${await say(user, "history.heading", { count: items.length })}\n\n${items.join("\n\n")}`);
+    }
+  })
+
+  /* the last translation again, spoken */
+  .add({
+    name : "repeat",
+    words: { en: ["repeat", "again"], es: ["repetir", "otra vez"], fr: ["repeter", "encore"],
+             pt: ["repetir", "de novo"], de: ["nochmal", "wiederholen"] },
+    help : "cmd.repeat",
+    run  : async ({ user, from }) => {
+      const [last] = await recentTranslations(from, 1);
+      if (!last) {
+        await sendMessage(from, await say(user, "history.empty"));
+        return;
+      }
+      if (!hasVoice(last.language_to)) {
+        const l = language(last.language_to);
+        await sendMessage(from, await say(user, "repeat.no_voice", { lang: l?.native || last.language_to }));
+        return;
+      }
+      await sendVoice(user, last.translated_text, last.language_to);
+    }
+  })
+
+  /* change only the voice: toggle, or "voice female" / "voice 2" */
+  .add({
+    name : "voice",
+    words: { en: ["voice"], es: ["voz"], fr: ["voix"], pt: ["voz"], de: ["stimme"] },
+    args : "optional",
+    help : "cmd.voice",
+    run  : async ({ user, from, arg }) => {
+      const g = !arg ? (user.voice_gender === "MALE" ? "FEMALE" : "MALE")
+              : MALE_RE.test(arg) ? "MALE"
+              : FEMALE_RE.test(arg) ? "FEMALE"
+              : null;
+      if (!g) return false;
+      if (!setupDone(user)) {
+        await sendMessage(from, await say(user, "setup.incomplete"));
+        return;
+      }
+      await supabase.from("users").update({ voice_gender: g }).eq("id", user.id);
+      await sendMessage(from, await say(user, g === "MALE" ? "voice.male" : "voice.female"));
+    }
+  })
+
+  /* swap your language and your contact's */
+  .add({
+    name : "swap",
+    words: { en: ["swap"], es: ["intercambiar", "invertir"], fr: ["inverser"], pt: ["inverter", "trocar"],
+             de: ["tauschen"] },
+    help : "cmd.swap",
+    run  : async ({ user, from }) => {
+      if (!setupDone(user)) {
+        await sendMessage(from, await say(user, "setup.incomplete"));
+        return;
+      }
+      const swapped = { ...user, source_lang: user.target_lang, target_lang: user.source_lang };
+      await supabase.from("users")
+        .update({ source_lang: swapped.source_lang, target_lang: swapped.target_lang })
+        .eq("id", user.id);
+      await sendMessage(from, await say(swapped, "swap.done", {
+        mine  : language(swapped.target_lang)?.native || swapped.target_lang,
+        theirs: language(swapped.source_lang)?.native || swapped.source_lang
+      }));
+    }
+  })
+
+  /* formality / tone for everything you send: "tone formal", "tone business", "tone auto" */
+  .add({
+    name : "tone",
+    words: { en: ["tone"], es: ["tono"], fr: ["ton"], pt: ["tom"], de: ["ton"] },
+    args : "optional",
+    usage: "tone formal",
+    help : "cmd.tone",
+    run  : async ({ user, from, arg }) => {
+      if (!arg) {
+        await sendMessage(from, await say(user, "tone.show", await toneVars(user)));
+        return;
+      }
+      const patch = TONE_WORDS.find(([re]) => re.test(arg))?.[1];
+      if (!patch) return false;
+      const next = { ...user, ...patch };
+      await supabase.from("users").update(patch).eq("id", user.id);
+      await sendMessage(from, await say(next, "tone.set", await toneVars(next)));
+    }
+  })
+
+  /* terms to keep or to always render one way: "glossary add Tico", "glossary add abuela = Grandma" */
+  .add({
+    name : "glossary",
+    words: { en: ["glossary"], es: ["glosario"], fr: ["glossaire"], pt: ["glossario"], de: ["glossar"] },
+    args : "optional",
+    usage: "glossary add Term = Translation",
+    help : "cmd.glossary",
+    run  : ({ user, from, arg, raw }) => glossaryCommand(user, from, arg, raw)
+  })
+
+  /* earlier messages stop being sent along as context; "history" keeps them */
+  .add({
+    name : "forget",
+    words: { en: ["forget"], es: ["olvidar", "olvida"], fr: ["oublier", "oublie"], pt: ["esquecer", "esquece"],
+             de: ["vergessen", "vergiss"] },
+    help : "cmd.forget",
+    run  : async ({ user, from }) => {
+      await supabase.from("users").update({ context_since: new Date().toISOString() }).eq("id", user.id);
+      await sendMessage(from, await say(user, "memory.forgot"));
+    }
+  })
+
+  /* context at all: "memory off" for privacy, "memory on" to allow it again */
+  .add({
+    name : "memory",
+    words: { en: ["memory"], es: ["memoria"], fr: ["memoire"], pt: ["memoria"], de: ["gedachtnis"] },
+    args : "required",
+    usage: "memory off",
+    help : "cmd.memory",
+    run  : async ({ user, from, arg }) => {
+      const on = ON_RE.test(arg) ? true : OFF_RE.test(arg) ? false : null;
+      if (on === null) return false;
+      await supabase.from("users").update({ context_memory: on }).eq("id", user.id);
+      await sendMessage(from, await say(user, on ? "memory.on" : "memory.off"));
+    }
+  })
+
+  /* "link" → a code to type on another app; "link CODE" there → same account */
+  .add({
+    name : "link",
+    words: { en: ["link"], es: ["vincular"], fr: ["lier"], pt: ["vincular"], de: ["verknupfen"] },
+    args : "optional",
+    usage: "link",
+    help : "cmd.link",
+    run  : async ({ user, from, primary, arg }) => {
+      if (arg && !LINK_RE.test(`link ${arg}`)) return false;    // a sentence that starts with "link"
+      if (arg) return linkChannel(from, arg, user, primary === from);
+      const code = await identity.issueCode(user);
+      await sendMessage(from, await say(user, "link.code", { code, minutes: identity.LINK_TTL_MIN }));
+    }
+  })
+
+  /* this address stops being part of the account (the primary one can't) */
+  .add({
+    name : "unlink",
+    words: { en: ["unlink"], es: ["desvincular"], fr: ["delier"], pt: ["desvincular"], de: ["trennen"] },
+    help : "cmd.unlink",
+    run  : async ({ user, from }) => {
+      const gone = await identity.unlink(from);
+      await sendMessage(from, await say(user, gone ? "link.removed" : "link.primary"));
+    }
+  })
+
+  /* everything we hold about you, as a download link */
+  .add({
+    name : "mydata",
+    chat : true,
+    words: { en: ["mydata", "my data"], es: ["mis datos"], fr: ["mes donnees"], pt: ["meus dados"],
+             de: ["meine daten"] },
+    help : "cmd.mydata",
+    run  : ({ user, from, primary }) => sendExport(user, from, primary)
+  })
+
+  /* asks first – the answer is handled by eraseReply() */
+  .add({
+    name : "delete my data",
+    chat : true,
+    words: { en: ["delete my data"], es: ["borrar mis datos"], fr: ["supprimer mes donnees"],
+             pt: ["apagar meus dados"], de: ["meine daten loschen"] },
+    help : "cmd.erase",
+    run  : async ({ user, from }) => {
+      await supabase.from("users").update({ erase_requested_at: new Date().toISOString() }).eq("id", user.id);
+      await sendChoices(from, await say(user, "erase.ask", { minutes: ERASE_TTL_MS / 60e3 }));
+    }
+  })
+
+  /* invite / join / end – bridgeCommand() parses its own grammar */
+  .add({
+    name : "bridge",
+    chat : true,
+    test : t => INVITE_RE.test(t.trim()) || JOIN_RE.test(t.trim()) || /^end\b/i.test(t.trim()),
+    usage: "invite +number",
+    help : "cmd.invite",
+    run  : ({ user, text }) => bridgeCommand(user, text)
+  })
+
+  .add({
+    name : "room",
+    chat : true,
+    test : t => /^room\b/i.test(t.trim()),
+    usage: "room create",
+    help : "cmd.room",
+    run  : ({ user, text }) => roomCommand(user, text)
+  })
+
+  /* 1–3 right after the paywall = a plan. Otherwise (onboarding menus)
+     the digit isn't ours – nor in a bridge or room, where no non-chat
+     command runs. */
+  .add({
+    name: "plan menu",
+    test: t => /^[1-3]$/.test(t.trim()),
+    run : async ({ user, from, text, ready, isFree }) => {
+      if (!ready || !planMenuOpen(user)) return false;
+      const tier = TIERS[+text.trim() - 1];
+      try {
+        if (isFree || (tier === "life" && user.plan !== "LIFETIME")) {
+          await sendMessage(from, await say(user, "pay.link", { link: await checkoutUrl(user, tier) }));
+        } else {
+          await sendMessage(from, await accountSummary(user));
+        }
+      } catch (e) {
+        console.error("Stripe checkout err:", e.message);
+        await sendMessage(from, await say(user, "pay.error"));
+      }
+    }
+  });
 
 /* ====================================================================
    3️⃣  Main handler
 ==================================================================== */
-async function handleIncoming(from, text = "", num, mediaUrl) {
+async function handleIncoming(from, text = "", media = [], steps = stepsOf(null)) {
   if (!from) return;
   const lower = text.trim().toLowerCase();
 
-  /* 0. fetch (or create) user */
-  let { data: user } = await supabase
-    .from("users")
-    .select("*")
-    .eq("phone_number", from)
-    .single();
+  /* 0. fetch (or create) user – any of their linked channels finds them */
+  let user = await identity.find(from);
 
   if (!user) {
+    const linking = text.match(LINK_RE);         // a new channel for an existing user
+    if (linking && await linkChannel(from, linking[1])) return;
+
+    const joining = text.match(JOIN_RE);         // arrived via a bridge invite
     ({ data: user } = await supabase
       .from("users")
       .upsert(
         { phone_number: from,
+          last_inbound_at: new Date().toISOString(),
           language_step: "target",
           plan: "FREE",
-          free_used: 0 },
+          pending_bridge_code: joining?.[1]?.toUpperCase() || null },
         { onConflict: ["phone_number"] }
       )
       .select("*")
       .single());
+    await quota.restore(user.id, from)           // usage kept from an erased account, if any
+      .catch(e=>console.error("quota restore:", e.message));
 
-    await sendMessage(from, WELCOME_MSG);
+    await sendChoices(from, WELCOME_MSG, [LANG_MORE]);
     return;
   }
 
-  const isFree = !user.plan || user.plan === "FREE";
-
-  /* 1. quick-reset: ONLY the “language you receive messages in” */
-  if (/^reset source$/i.test(lower)) {
-    await supabase.from("users").update({
-      source_lang   : null,
-      language_step : "source",
-      // keep target_lang, voice_gender, free_used
-    }).eq("phone_number", from);
-
-    const heading = await translate(
-      "Choose the language you receive messages in (the one you need translated):",
-      user.target_lang || "en"
-    );
-    const menuRaw = `1️⃣ English 🇺🇸 – type 1
-2️⃣ Español 🇪🇸 – escribe 2
-3️⃣ Français 🇫🇷 – tapez 3
-4️⃣ Português 🇵🇹 – digite 4
-5️⃣ Deutsch  🇩🇪 – tippe 5`;
-    const menuTranslated = await translate(menuRaw, user.target_lang || "en");
-
-    await sendMessage(from, `${heading}\n${menuTranslated}`);
-    return;                       // stop further processing
-  }
-
-  /* 2. pay-wall button replies (numbers 1–3) */
-  if (/^[1-3]$/.test(lower)                // user pressed a button
-      && isFree
-      && user.free_used >= 10
-      && user.language_step === "ready") { // only after onboarding
-    const tier = lower === "1" ? "monthly"
-              : lower === "2" ? "annual"
-              : "life";
-    try {
-      const link = await checkoutUrl(user, tier);
-      await sendMessage(from, `Tap to pay → ${link}`);
-    } catch (e) {
-      console.error("Stripe checkout err:", e.message);
-      await sendMessage(from, "⚠️ Payment link error. Try again later.");
-    }
-    return;
+  /* replies go back on the channel this came in on; the row is
+     updated by id (phone_number stays the primary address) */
+  const primary = user.phone_number;
+  user = { ...user, phone_number: from };
+
+  /* opens WhatsApp's 24 h window for free-form replies (see sendNotice) */
+  if (from === primary && channels.of(from).windowed) {
+    supabase.from("users").update({ last_inbound_at: new Date().toISOString() }).eq("id", user.id)
+      .then(({ error }) => error && console.error("last_inbound_at:", error.message));
   }
 
-  /* 3. full reset */
-  if (/^(reset|change language)$/i.test(lower)) {
-    await supabase.from("users").update({
-      language_step : "target",
-      source_lang   : null,
-      target_lang   : null,
-      voice_gender  : null,
-      free_used     : 0           // fresh allowance
-    }).eq("phone_number", from);
+  const isFree = !hasPaidAccess(user);
+  const plan   = planOf(user);
+  const ready  = user.language_step === "ready";      // only post-onboarding messages count
+  const allowance = ready ? await quota.status(user.id, plan) : null;
+  const outOfMessages = !!allowance && allowance.left.messages < 1;
+
+  /* 0b. mid-"settings" number replies */
+  if (user.settings_step && await settingsReply(user, text)) return;
+
+  /* 0c. the answer to "which way?" */
+  if (user.pending_direction && await directionReply(user, text, plan, ready)) return;
+
+  /* 0d. the answer to "delete my data?" */
+  if (user.erase_requested_at && await eraseReply(user, text, primary)) return;
+
+  /* in a room / bridge? (only once set up) */
+  const inChat = user.target_lang && user.voice_gender && !SETUP_STEPS.includes(user.language_step);
+  const room   = inChat ? await rooms.current(user.id) : null;
+  const bridge = inChat && !room ? await bridges.activeFor(user.id) : null;
+
+  /* 1–3. commands (help, reset, billing, history, invite, room, …) –
+     while chatting only the chat ones, everything else is for the others */
+  const chatting = !!(room || bridge);
+  if (await commands.dispatch(text, { user, from, primary, text, plan, ready, isFree, chatting })) return;
 
-    await sendMessage(from, WELCOME_MSG);
+  /* 3b. in a room / bridge → relay to the others instead of translating back */
+  if (room) {
+    await fanOut(room, user, text, media, steps);
+    return;
+  }
+  if (bridge) {
+    await relay(bridge, user, text, media, steps);
     return;
   }
 
-  /* 4. free-tier gate for normal messages */
-  if (isFree && user.free_used >= 10 && user.language_step === "ready") {
-    await sendMessage(
-      from,
-      paywallMsg[(user.target_lang || "en").toLowerCase()] || paywallMsg.en
-    );
+  /* 4. allowance gate for normal messages (paywall for free users) */
+  if (outOfMessages) {
+    await sendChoices(from, await quotaMessage(user, allowance));
     return;
   }
 
@@ -515,45 +2065,30 @@ let tutorialFollow = null; // holds next tutorial prompt, if any
 
 /* 4a. pick TARGET language (TuCanChat’s reply language) */
 if (user.language_step === "target") {
-  const choice = pickLang(text);
+  const choice = await resolveLanguage(user, text, await t("lang.retry"));
   if (choice) {
     await supabase
       .from("users")
-      .update({ target_lang: choice.code, language_step: "source" })
-      .eq("phone_number", from);
-
-    const heading = await translate(
-      "Choose the language you receive messages in (the one you need translated):",
-      choice.code
-    );
-    const menuRaw = `1️⃣ English 🇺🇸 – type 1
-2️⃣ Spanish 🇪🇸 – type 2
-3️⃣ French  🇫🇷 – type 3
-4️⃣ Portuguese 🇵🇹 – type 4
-5️⃣ German  🇩🇪 – type 5`;
-     
-    const menuTranslated = await translate(menuRaw, choice.code);
-    await sendMessage(from, `${heading}\n${menuTranslated}`);
-  } else {
-    await sendMessage(
-      from,
-      "❌ Reply 1-5.\n1) English\n2) Spanish\n3) French\n4) Portuguese\n5) German"
-    );
+      .update({ target_lang: choice.code, language_step: "source", menu_page: 0 })
+      .eq("id", user.id);
+
+    const heading = await t("source.heading", choice.code);
+    await sendChoices(from, menuMsg(heading, 0, { exclude: choice.code }), [LANG_MORE]);
   }
   return;
 }
 
 /* 4b. pick SOURCE language (language you receive messages in) */
 if (user.language_step === "source") {
-  const choice = pickLang(text);          // returns { code, name }
-  if (!choice) {
-    await sendMessage(from, menuMsg("❌ Reply 1-5.\nLanguages:"));
-    return;
-  }
+  const choice = await resolveLanguage(
+    user, text, await say(user, "lang.retry"), { exclude: user.target_lang }
+  );
+  if (!choice) return;
 
   /* must differ from target */
   if (choice.code === user.target_lang) {
-    await sendMessage(from, menuMsg("⚠️ Source must differ.\nLanguages:"));
+    await sendChoices(from,
+      menuMsg(await say(user, "source.same"), user.menu_page, { exclude: user.target_lang }), [LANG_MORE]);
     return;
   }
 
@@ -566,33 +2101,23 @@ if (user.language_step === "source") {
       source_lang   : choice.code,
       language_step : alreadySetup ? "ready" : "gender"
     })
-    .eq("phone_number", from);
+    .eq("id", user.id);
 
   /* ─────────────  reset-source path  ───────────── */
   if (alreadySetup) {
     /* 1. confirmation */
-    const done = await translate(
-      `Language change complete. You are now translating messages you receive in ${choice.name}.`,
-      user.target_lang
-    );
-    await sendMessage(from, done);
+    await sendMessage(from, await say(user, "source.changed", { lang: choice.native }));
 
     /* 2. reset-tips bubble */
-    const tips = await translate(RESET_HELP, user.target_lang);
-    await sendMessage(from, tips);
+    await sendMessage(from, await say(user, "reset.help"));
 
     /* 3. ready prompt */
-    const readyTxt = await translate("I am ready to translate.", user.target_lang);
-    await sendMessage(from, readyTxt);
+    await sendMessage(from, await say(user, "ready"));
     return;
   }
 
   /* ─────────────  normal onboarding continues  ───────────── */
-  const gPrompt = await translate(
-    "Choose the voice you want me to use when creating audio messages for you\n1️⃣ Male\n2️⃣ Female",
-    user.target_lang
-  );
-  await sendMessage(from, gPrompt);
+  await sendChoices(from, await say(user, "gender.prompt"));
   return;
 }
 
@@ -603,35 +2128,31 @@ if (user.language_step === "gender") {
   if (/^2$/.test(lower) || /female/i.test(lower)) g = "FEMALE";
 
   if (g) {
+    /* invited users skip the forward-it-yourself tutorial */
+    const code = user.pending_bridge_code;
     await supabase
       .from("users")
-      .update({ voice_gender: g, language_step: "tutorial1" })
-      .eq("phone_number", from);
+      .update({ voice_gender: g, language_step: code ? "ready" : "tutorial1", pending_bridge_code: null })
+      .eq("id", user.id);
 
     /* message 1 — intro */
-    const msgIntro = await translate(
-      "Set-up complete! I am TucanChat, your WhatsApp translation assistant. I am here to help with translating text, voice, and video messages.",
-      user.target_lang
-    );
-    await sendMessage(from, msgIntro);
+    await sendMessage(from, await say(user, "setup.intro"));
 
     /* message 2 — reset tips */
-    const resetTips = await translate(RESET_HELP, user.target_lang);
-    await sendMessage(from, resetTips);
+    await sendMessage(from, await say(user, "reset.help"));
+
+    if (code) {
+      const bridge  = await bridges.pendingByCode(code);
+      const refused = bridge ? await connectBridge(bridge, { ...user, voice_gender: g }) : "bridge.not_found";
+      if (refused) await sendMessage(from, await say(user, refused));
+      return;
+    }
 
     /* message 3 — first action prompt */
-    const firstAction = await translate(
-      "Let’s try it out! Forward me an audio message from another chat you want translated into your language.",
-      user.target_lang
-    );
-    await sendMessage(from, firstAction);
+    await sendMessage(from, await say(user, "tutorial.start"));
 
   } else {
-    const retry = await translate(
-      "❌ Reply 1 or 2.\n1️⃣ Male\n2️⃣ Female",
-      user.target_lang
-    );
-    await sendMessage(from, retry);
+    await sendMessage(from, await say(user, "gender.retry"));
   }
   return;
 }
@@ -639,18 +2160,9 @@ if (user.language_step === "gender") {
 /* 4d. capture (but defer) tutorial follow-ups */
 if (user.language_step && user.language_step.startsWith("tutorial")) {
   const map = {
-    tutorial1: {
-      msg: " Now record an audio note in your language—what you want to say. I’ll translate it into your friend’s language so you can forward it",
-      next: "tutorial2",
-    },
-    tutorial2: {
-      msg: "Forward that voice message ☝️ to your friend. Then send me a text in your language, or forward me a text in theirs. I'll translate it for them—and any reply they send back—for you.",
-      next: "tutorial3",
-    },
-    tutorial3: {
-      msg: "Great! Now you know how to use TucanChat. You can also send me videos and I can translate the audio for you. You have 10 messages for free, and then it is only $1.99/month",
-      next: "ready",
-    },
+    tutorial1: { key: "tutorial.1", next: "tutorial2" },
+    tutorial2: { key: "tutorial.2", next: "tutorial3" },
+    tutorial3: { key: "tutorial.3", next: "ready" },
   };
   tutorialFollow = map[user.language_step];
   // Do NOT return here – we still need to run translation logic
@@ -658,107 +2170,187 @@ if (user.language_step && user.language_step.startsWith("tutorial")) {
 
 /* fallback if setup not finished */
 if (!user.source_lang || !user.target_lang || !user.voice_gender) {
-  await sendMessage(from, "⚠️ Setup incomplete. Text *reset* to start over.");
-  return;
-}
-
-/* ───── transcribe / detect language ───── */
-let original = "", detected = "";
-if (num > 0 && mediaUrl) {
-  const auth = "Basic " + Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString("base64");
-  const resp = await fetch(mediaUrl, { headers: { Authorization: auth } });
-  const buf  = await resp.buffer();
-  const ctype = resp.headers.get("content-type") || "";
-  const ext =
-    ctype.includes("ogg")  ? ".ogg" :
-    ctype.includes("mpeg") ? ".mp3" :
-    (ctype.includes("mp4") || ctype.includes("m4a")) ? ".m4a" : ".dat";
-  const raw = `/tmp/${uuid()}${ext}`;
-  const wav = raw.replace(ext, ".wav");
-  fs.writeFileSync(raw, buf);
-  await toWav(raw, wav);
-  try {
-    const r = await whisper(wav);
-    original = r.txt;
-    detected = r.lang || (await detectLang(original)).slice(0, 2);
-  } finally {
-    fs.unlinkSync(raw);
-    fs.unlinkSync(wav);
-  }
-} else if (text) {
-  original = text;
-  detected = (await detectLang(original)).slice(0, 2);
-}
-if (!original) {
-  await sendMessage(from, "⚠️ Send text or a voice note.");
+  await sendMessage(from, await say(user, "setup.incomplete"));
   return;
 }
 
-const dest       = detected === user.target_lang ? user.source_lang : user.target_lang;
-const translated = await translate(original, dest);
-
-/* usage + log */
-if (isFree && user.language_step === "ready") {
-  await supabase
-    .from("users")
-    .update({ free_used: user.free_used + 1 })
-    .eq("phone_number", from);
-}
-await logRow({
-  phone_number:    from,
-  original_text:   original,
-  translated_text: translated,
-  language_from:   detected,
-  language_to:     dest,
-});
+/* ───── each part in order: text, then every attachment ───── */
+for await (const part of pending(partsOf(text, media), steps)) {
+  const msg = await understand(user, plan, part, { bill: ready });
+  if (msg.refused) {
+    await sendChoices(from, await quotaMessage(user, await quota.status(user.id, plan), msg.seconds));
+    return;
+  }
+  if (msg.verbatim) {
+    await sendMessage(from, await say(user, "direction.untranslatable"));
+    continue;
+  }
+  if (!msg.original) {
+    await nothingToSay(user, user, msg);
+    continue;
+  }
 
-/* ───── reply flow ───── */
-if (num === 0) {                              // text-only incoming
-  await sendMessage(from, translated);
+  const way = decide(user, { lang: msg.detected, confidence: msg.confidence }, msg.original, {
+    min         : +DETECT_MIN_CONFIDENCE,
+    thirdLetters: msg.isAudio ? 0 : undefined       // a recording is long enough to trust Whisper
+  });
+  if (way.ask) {
+    await askDirection(user, msg);
+    continue;
+  }
 
-} else {                                      // voice / media incoming
-  await sendMessage(from, `🗣 ${original}`);  // 1. transcript
-  await sendMessage(from, translated);        // 2. translation
   try {
-    const mp3 = await tts(translated, dest, user.voice_gender);
-    const pub = await uploadAudio(mp3);
-    await sendMessage(from, "", pub);         // 3. audio reply
+    await translateBack(user, msg, way.dest || user.target_lang);
+    if (way.third) {
+      await sendMessage(from, await say(user, "direction.third", {
+        lang: language(way.third)?.native || way.third,
+        mine: language(user.target_lang)?.native || user.target_lang
+      }));
+    }
   } catch (e) {
-    console.error("TTS/upload error:", e.message);
+    await quota.release(user.id, msg.held);     // the retry starts at this part – don't bill it twice
+    throw e;
   }
 }
 
-/* …and after voice / media incoming */
+/* …and after voice / media incoming – sendMessage waits until the reply
+   above has landed, so the tip never overtakes the voice note */
 if (tutorialFollow) {
-  await new Promise(r => setTimeout(r, MEDIA_DELAY_MS));
-  const follow = await translate(tutorialFollow.msg, user.target_lang);
-  await sendMessage(from, follow);
+  const price = await priceLabel(user, "monthly");          // "" = no price configured / Stripe down
+  const key   = tutorialFollow.key === "tutorial.3" && !price ? "tutorial.3_no_price" : tutorialFollow.key;
+  await sendMessage(from, await say(user, key, { limit: quota.limitsFor("FREE").messages, price }));
   await supabase
     .from("users")
     .update({ language_step: tutorialFollow.next })
-    .eq("phone_number", from);
+    .eq("id", user.id);
 }
 /* ===== end of onboarding + translation handler block ===== */
 } // closes handleIncoming
 
 /* ====================================================================
-   4️⃣  Twilio entry  (ACK immediately)
+   4️⃣  Webhooks  (ACK once queued)
 ==================================================================== */
+
+/* Reject anything not signed by Twilio with our auth token.
+   Behind a proxy (Railway) the URL Twilio signed is the public one,
+   so PUBLIC_BASE_URL wins over the Host header we see. */
+function verifyTwilio(req,res,next){
+  if(TWILIO_SIGNATURE_CHECK==="off") return next();
+  const base = (PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/,"");
+  const ok = twilio.validateRequest(
+    TWILIO_AUTH_TOKEN,
+    req.headers["x-twilio-signature"] || "",
+    base + req.originalUrl,
+    req.body || {}
+  );
+  if(!ok){
+    console.warn("⚠️  Twilio signature failed for", req.originalUrl);
+    return res.sendStatus(403);
+  }
+  next();
+}
+
+/* Claim a MessageSid. Returns false if we've seen it before
+   (Twilio redelivery). DB hiccups fail open – better a double
+   reply than a lost message. */
+async function claimMessage(sid,from){
+  if(!sid) return true;
+  const { error } = await supabase
+    .from("processed_messages")
+    .insert({ message_sid: sid, phone_number: from });
+  if(!error) return true;
+  if(error.code==="23505") return false;          // unique_violation
+  console.error("❌ processed_messages insert:", error.message);
+  return true;
+}
+
+/* the queue didn't take it → forget the sid so the redelivery is handled */
+async function releaseMessage(sid){
+  if(!sid) return;
+  const { error } = await supabase.from("processed_messages").delete().eq("message_sid", sid);
+  if(error) console.error("❌ processed_messages release:", error.message);
+}
+
+/* a normalized inbound message ({ from, text, media, sid }) from any
+   channel → the queue, once. Throws when it couldn't be queued – the
+   webhook then answers 5xx and the channel delivers it again. */
+async function accept(msg){
+  if(!(await claimMessage(msg.sid,msg.from))){
+    console.log("↩️  duplicate delivery skipped:", msg.sid);
+    return;
+  }
+  try{
+    await inbox.enqueue(msg.from,msg);
+  }catch(e){
+    await releaseMessage(msg.sid);
+    throw e;
+  }
+}
+
+/* Twilio: WhatsApp and SMS/MMS */
 app.post(
   "/webhook",
   bodyParser.urlencoded({ extended:false, limit:"2mb" }),
-  (req,res)=>{
-    if(!req.body||!req.body.From){
-      return res.set("Content-Type","text/xml").send("<Response></Response>");
-    }
-    const { From, Body, NumMedia, MediaUrl0 } = req.body;
-    res.set("Content-Type","text/xml").send("<Response></Response>");
-    handleIncoming(
-      From,
-      (Body||"").trim(),
-      parseInt(NumMedia||"0",10),
-      MediaUrl0
-    ).catch(e=>console.error("handleIncoming ERR",e));
+  verifyTwilio,
+  async (req,res)=>{
+    try{
+      if(req.body?.From) await accept(channels.parseTwilio(req.body));
+      res.set("Content-Type","text/xml").send("<Response></Response>");
+    }catch(e){
+      console.error("enqueue ERR",e);
+      res.sendStatus(503);                       // Twilio retries
+    }
+  }
+);
+
+/* Telegram: setWebhook(url=…/telegram-webhook, secret_token=TELEGRAM_WEBHOOK_SECRET) */
+app.post(
+  "/telegram-webhook",
+  express.json({ limit:"1mb" }),
+  async (req,res)=>{
+    if(!TELEGRAM_WEBHOOK_SECRET || req.get("x-telegram-bot-api-secret-token")!==TELEGRAM_WEBHOOK_SECRET){
+      return res.sendStatus(403);
+    }
+    try{
+      const msg = await channels.parseTelegram(req.body);
+      if(msg) await accept(msg);
+      res.sendStatus(200);
+    }catch(e){
+      console.error("telegram enqueue ERR",e);
+      res.sendStatus(503);                       // Telegram retries
+    }
+  }
+);
+
+/* ====================================================================
+   5️⃣  Inbound queue  (one message at a time per phone number)
+==================================================================== */
+const inbox = createQueue({
+  store      : QUEUE_STORE==="memory" ? memoryStore() : supabaseStore(supabase,"jobs",logText),
+  concurrency: +QUEUE_CONCURRENCY,
+  maxAttempts: +QUEUE_MAX_ATTEMPTS,
+  handler    : (p, job) =>
+    handleIncoming(p.from, p.text, p.media || (p.mediaUrl ? [{ url: p.mediaUrl }] : []), stepsOf(job)),
+  onDead     : async job => {
+    const user = await identity.find(job.payload.from).catch(() => null);
+    await sendMessage(job.payload.from, await say(user, "queue.failed"));
+  }
+});
+inbox.start().catch(e=>console.error("queue start ERR",e));
+
+/* ====================================================================
+   6️⃣  Delivery status  (Twilio statusCallback for every outbound message)
+==================================================================== */
+app.post(
+  "/twilio-status",
+  bodyParser.urlencoded({ extended:false }),
+  verifyTwilio,
+  async (req,res)=>{
+    res.sendStatus(204);
+    const { MessageSid, MessageStatus, ErrorCode } = req.body || {};
+    if(!MessageSid || !MessageStatus) return;
+    await delivery.status({ sid: MessageSid, status: MessageStatus, errorCode: ErrorCode })
+      .catch(e=>console.error("status callback ERR", e.message));
   }
 );
 
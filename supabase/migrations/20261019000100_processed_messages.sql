@@ -0,0 +1,6 @@
+-- Twilio redelivers webhooks; one row per MessageSid we've already handled.
+create table if not exists processed_messages (
+  message_sid  text primary key,
+  phone_number text,
+  created_at   timestamptz not null default now()
+);
@@ -0,0 +1,16 @@
+-- Durable inbound queue (lib/queue.js). One row per WhatsApp message.
+create table if not exists jobs (
+  id          bigint generated always as identity primary key,
+  key         text        not null,              -- phone number → FIFO lane
+  payload     jsonb       not null,
+  status      text        not null default 'pending'
+              check (status in ('pending', 'running', 'done', 'dead')),
+  attempts    int         not null default 0,
+  last_error  text,
+  run_at      timestamptz not null default now(),
+  locked_at   timestamptz,
+  finished_at timestamptz,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists jobs_active_idx on jobs (id) where status in ('pending', 'running');
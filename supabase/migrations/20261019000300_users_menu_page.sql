@@ -0,0 +1,2 @@
+-- Which page of the language picker (lib/languages.js) the user is on.
+alter table users add column if not exists menu_page int not null default 0;
@@ -0,0 +1,10 @@
+-- Machine-translated UI strings for locales without a reviewed file
+-- in locales/ (lib/i18n.js). source_hash = sha1(en text)[0:8].
+create table if not exists ui_translations (
+  locale      text not null,
+  key         text not null,
+  source_hash text not null,
+  text        text not null,
+  updated_at  timestamptz not null default now(),
+  primary key (locale, key)
+);
@@ -0,0 +1,9 @@
+-- Persistent tier of lib/cache.js (translations, TTS audio URLs).
+create table if not exists cache_entries (
+  key        text primary key,           -- sha256 of normalized inputs
+  value      jsonb       not null,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists cache_entries_expires_idx on cache_entries (expires_at);
@@ -0,0 +1,11 @@
+-- Stripe subscription lifecycle: billing state on users + processed event log.
+alter table users
+  add column if not exists billing_status text,          -- active | past_due | unpaid | canceled | refunded | disputed
+  add column if not exists grace_until    timestamptz;   -- past_due users keep access until then
+
+create table if not exists stripe_events (
+  id           text primary key,                          -- evt_…
+  type         text not null,
+  received_at  timestamptz not null default now(),
+  processed_at timestamptz
+);
@@ -0,0 +1,43 @@
+-- Monthly usage meters (lib/quota.js). One row per user per UTC month.
+create table if not exists usage (
+  user_id       uuid    not null references users(id) on delete cascade,
+  period        text    not null,                  -- 'YYYY-MM'
+  messages      int     not null default 0,
+  audio_seconds numeric not null default 0,
+  updated_at    timestamptz not null default now(),
+  primary key (user_id, period)
+);
+
+-- Atomic check-and-increment. Limits null = unlimited; negative amounts
+-- release an earlier reservation. ok=false leaves the row untouched.
+create or replace function consume_quota(
+  p_user         uuid,
+  p_period       text,
+  p_messages     int,
+  p_seconds      numeric,
+  p_max_messages int     default null,
+  p_max_seconds  numeric default null
+) returns table (ok boolean, used_messages int, used_seconds numeric)
+language plpgsql as $$
+begin
+  insert into usage (user_id, period) values (p_user, p_period)
+  on conflict (user_id, period) do nothing;
+
+  return query
+  update usage u
+     set messages      = greatest(u.messages + p_messages, 0),
+         audio_seconds = greatest(u.audio_seconds + p_seconds, 0),
+         updated_at    = now()
+   where u.user_id = p_user
+     and u.period  = p_period
+     and (p_max_messages is null or u.messages      + p_messages <= p_max_messages)
+     and (p_max_seconds  is null or u.audio_seconds + p_seconds  <= p_max_seconds)
+  returning true, u.messages, u.audio_seconds;
+
+  if not found then
+    return query
+    select false, u.messages, u.audio_seconds
+      from usage u
+     where u.user_id = p_user and u.period = p_period;
+  end if;
+end $$;
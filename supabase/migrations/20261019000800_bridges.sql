@@ -0,0 +1,19 @@
+-- Two-person translated chats (lib/bridges.js).
+create table if not exists bridges (
+  id            uuid primary key default gen_random_uuid(),
+  inviter_id    uuid not null references users(id) on delete cascade,   -- pays for usage
+  invitee_id    uuid references users(id) on delete cascade,
+  invitee_phone text,                                   -- set when invited by number
+  code          text not null unique,                   -- "join ABC123"
+  status        text not null default 'pending' check (status in ('pending', 'active', 'ended')),
+  created_at    timestamptz not null default now(),
+  accepted_at   timestamptz,
+  ended_at      timestamptz
+);
+
+create index if not exists bridges_active_idx  on bridges (inviter_id, invitee_id) where status = 'active';
+create index if not exists bridges_pending_idx on bridges (invitee_phone)          where status = 'pending';
+
+alter table users        add column if not exists pending_bridge_code text;
+alter table translations add column if not exists bridge_id uuid references bridges(id) on delete set null,
+                         add column if not exists recipient text;
@@ -0,0 +1,23 @@
+-- Group translation rooms (lib/rooms.js).
+create table if not exists rooms (
+  id         uuid primary key default gen_random_uuid(),
+  code       text not null unique,                       -- "room join ABC123"
+  title      text,
+  owner_id   uuid not null references users(id) on delete cascade,   -- pays, plan caps members
+  status     text not null default 'open' check (status in ('open', 'closed')),
+  created_at timestamptz not null default now(),
+  closed_at  timestamptz
+);
+
+create table if not exists room_members (
+  room_id   uuid not null references rooms(id) on delete cascade,
+  user_id   uuid not null references users(id) on delete cascade,
+  nickname  text,
+  joined_at timestamptz not null default now(),
+  left_at   timestamptz,
+  primary key (room_id, user_id)
+);
+
+create index if not exists room_members_active_idx on room_members (user_id) where left_at is null;
+
+alter table translations add column if not exists room_id uuid references rooms(id) on delete set null;
@@ -0,0 +1,2 @@
+-- "mp3 on": send an MP3 file next to each voice-note reply.
+alter table users add column if not exists audio_mp3 boolean not null default false;
@@ -0,0 +1,4 @@
+-- "history" / "repeat" read a user's latest translations.
+alter table translations add column if not exists created_at timestamptz not null default now();
+
+create index if not exists translations_phone_recent_idx on translations (phone_number, created_at desc);
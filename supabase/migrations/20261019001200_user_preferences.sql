@@ -0,0 +1,6 @@
+-- Per-user voice and output preferences, edited through "settings".
+alter table users
+  add column if not exists voices        jsonb  not null default '{}',   -- lang → "es-US" | "es-US-Neural2-B"
+  add column if not exists speaking_rate real   not null default 0.9,
+  add column if not exists reply_outputs text[] not null default '{transcript,translation,audio}',
+  add column if not exists settings_step text;
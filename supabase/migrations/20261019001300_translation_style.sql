@@ -0,0 +1,5 @@
+-- How a user's messages are translated, edited through "tone" and "glossary".
+alter table users
+  add column if not exists formality text check (formality in ('formal', 'informal')),
+  add column if not exists tone      text check (tone in ('casual', 'business')),
+  add column if not exists glossary  jsonb not null default '[]';   -- [{ term, render | null }]
@@ -0,0 +1,7 @@
+-- Recent lines of a conversation go along with the next translation.
+alter table users
+  add column if not exists context_memory boolean not null default true,   -- "memory off"
+  add column if not exists context_since  timestamptz;                     -- "forget"
+
+create index if not exists translations_bridge_recent_idx on translations (bridge_id, created_at desc) where bridge_id is not null;
+create index if not exists translations_room_recent_idx   on translations (room_id, created_at desc)   where room_id is not null;
@@ -0,0 +1,2 @@
+-- A message whose direction was unclear, waiting for "1" or "2".
+alter table users add column if not exists pending_direction jsonb;   -- { text, lang, is_audio, seconds, at }
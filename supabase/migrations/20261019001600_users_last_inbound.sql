@@ -0,0 +1,3 @@
+-- WhatsApp only delivers free-form messages within 24 h of the user's
+-- last message; older than that, notices go out as approved templates.
+alter table users add column if not exists last_inbound_at timestamptz;
@@ -0,0 +1,18 @@
+-- Every message we send, kept current by Twilio's status callbacks
+-- (/twilio-status). Transient failures get retry_at and are sent again.
+create table if not exists outbound_messages (
+  sid          text primary key,               -- Twilio MessageSid
+  phone_number text        not null,
+  payload      jsonb       not null,            -- what was passed to messages.create
+  status       text        not null default 'queued',
+  error_code   int,
+  attempts     int         not null default 1,
+  retry_at     timestamptz,
+  retried_as   text,                             -- sid of the resend
+  created_at   timestamptz not null default now(),
+  updated_at   timestamptz not null default now()
+);
+
+create index if not exists outbound_messages_phone_idx on outbound_messages (phone_number, created_at desc);
+create index if not exists outbound_messages_retry_idx on outbound_messages (retry_at) where retry_at is not null;
+create index if not exists outbound_messages_failed_idx on outbound_messages (status) where status in ('failed', 'undelivered');
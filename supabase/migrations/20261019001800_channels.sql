@@ -0,0 +1,16 @@
+-- Further addresses of one user (SMS "+1…", "telegram:<chat>", a second
+-- WhatsApp). users.phone_number stays the primary one.
+create table if not exists user_channels (
+  address    text primary key,
+  user_id    uuid        not null references users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_channels_user_idx on user_channels (user_id);
+
+-- "link" → short-lived code, redeemed by "link CODE" from the new address
+create table if not exists link_codes (
+  code       text primary key,
+  user_id    uuid        not null references users (id) on delete cascade,
+  expires_at timestamptz not null
+);
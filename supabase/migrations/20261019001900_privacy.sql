@@ -0,0 +1,8 @@
+-- "delete my data" asks first; the question expires after a few minutes
+alter table users add column if not exists erase_requested_at timestamptz;
+
+-- erase / export look rows up by recipient too (bridge messages sent to them);
+-- the retention purge deletes by age
+create index if not exists translations_recipient_idx  on translations (recipient) where recipient is not null;
+create index if not exists translations_created_idx    on translations (created_at);
+create index if not exists outbound_messages_created_idx on outbound_messages (created_at);
@@ -0,0 +1,3 @@
+-- When the paywall last offered "1️⃣ 2️⃣ 3️⃣" plans; only then is a bare
+-- digit a plan pick (otherwise it's translated or relayed).
+alter table users add column if not exists plan_menu_at timestamptz;
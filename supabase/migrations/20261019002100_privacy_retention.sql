@@ -0,0 +1,6 @@
+-- the retention purge (lib/privacy.js) also clears jobs, seen message ids
+-- and cache entries by age; erase finds a user's jobs by key
+create index if not exists jobs_created_idx               on jobs (created_at);
+create index if not exists jobs_key_idx                   on jobs (key);
+create index if not exists processed_messages_created_idx on processed_messages (created_at);
+create index if not exists cache_entries_created_idx      on cache_entries (created_at);
@@ -0,0 +1,10 @@
+-- "delete my data" removes usage with the user; the current month's
+-- counts stay here under an HMAC of the address so signing up again doesn't
+-- reset the allowance (lib/quota.js carry / restore)
+create table if not exists carried_usage (
+  address_hash  text    not null,
+  period        text    not null,                  -- 'YYYY-MM'
+  messages      int     not null default 0,
+  audio_seconds numeric not null default 0,
+  primary key (address_hash, period)
+);
@@ -0,0 +1,45 @@
+/* lib/chunk.js: sentence-sized pieces that fit, nothing lost */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { chunkText, joinChunks } from "../lib/chunk.js";
+
+const squash = s => s.replace(/\s+/g, " ").trim();
+
+test("short text comes back whole", () => {
+  assert.deepEqual(chunkText("Hola. ¿Qué tal?", 100, "es"), ["Hola. ¿Qué tal?"]);
+});
+
+test("long text is cut between sentences", () => {
+  const text = "The first sentence is here. The second one follows it. A third closes the paragraph.";
+  const parts = chunkText(text, 60, "en");
+  assert.deepEqual(parts, [
+    "The first sentence is here. The second one follows it.",
+    "A third closes the paragraph."
+  ]);
+  assert.equal(joinChunks(parts, "en"), text);
+});
+
+test("a sentence longer than max is cut between words", () => {
+  const text = Array.from({ length: 40 }, (_, i) => `word${i}`).join(" ");
+  const parts = chunkText(text, 50, "en");
+  assert.ok(parts.length > 1);
+  for (const p of parts) assert.ok(p.length <= 50, `${p.length} > 50`);
+  assert.ok(parts.every(p => p.split(" ").every(w => /^word\d+$/.test(w))), "no word cut in half");
+  assert.equal(squash(joinChunks(parts, "en")), text);
+});
+
+test("text without spaces is hard-cut", () => {
+  const text = "字".repeat(130);
+  const parts = chunkText(text, 50, "zh");
+  assert.deepEqual(parts.map(p => p.length), [50, 50, 30]);
+  assert.equal(joinChunks(parts, "zh"), text);
+});
+
+test("every piece fits", () => {
+  const text = "Lorem ipsum dolor sit amet, consectetur adipiscing elit. ".repeat(60);
+  for (const max of [80, 300, 1500]) {
+    const parts = chunkText(text, max, "en");
+    assert.ok(parts.every(p => p.length <= max), `max ${max}`);
+    assert.equal(joinChunks(parts, "en"), squash(text));
+  }
+});
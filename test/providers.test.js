@@ -0,0 +1,34 @@
+/* lib/providers: each capability walks its fallback chain in order */
+import test from "node:test";
+import assert from "node:assert/strict";
+
+/* chains are read from env at import; DeepL pointed at a closed port fails fast */
+delete process.env.PROVIDERS;
+process.env.TRANSLATE_PROVIDERS = "deepl,stub";
+process.env.DETECT_PROVIDERS    = "deepl";
+process.env.TTS_PROVIDERS       = "stub";
+process.env.DEEPL_API_URL       = "http://127.0.0.1:9/v2/translate";
+
+const providers = await import("../lib/providers/index.js");
+
+test("chains follow the env, in order", () => {
+  assert.deepEqual(providers.chains().translate, ["deepl", "stub"]);
+  assert.equal(providers.identity("translate"), "deepl>stub");
+});
+
+test("a failing provider falls through to the next one", async t => {
+  t.mock.method(console, "warn", () => {});
+  assert.equal(await providers.translate("hola", "en"), "[en] hola");
+  assert.match(console.warn.mock.calls[0].arguments[0], /translate via deepl failed/);
+});
+
+test("when every provider fails, the last error is thrown", async t => {
+  t.mock.method(console, "warn", () => {});
+  await assert.rejects(providers.detect("hola"), e => e.code === "ECONNREFUSED" || /ECONNREFUSED/.test(e.message));
+});
+
+test("a working first provider is the only one called", async t => {
+  t.mock.method(console, "warn", () => {});
+  assert.ok(Buffer.isBuffer(await providers.tts("hi", "en")));
+  assert.equal(console.warn.mock.callCount(), 0);
+});
@@ -0,0 +1,178 @@
+/* lib/queue.js on the in-memory store: per-key FIFO, backoff, dead letters */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { APIConnectionError, APIConnectionTimeoutError } from "openai";
+import { createQueue, memoryStore, isTransient } from "../lib/queue.js";
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function until(done, ms = 2000) {
+  const end = Date.now() + ms;
+  while (!done()) {
+    if (Date.now() > end) throw new Error("timed out");
+    await sleep(5);
+  }
+}
+
+function queue(handler, opts = {}) {
+  const store = memoryStore();
+  const q = createQueue({ store, handler, concurrency: 4, baseDelayMs: 5, pollMs: 5, ...opts });
+  return { q, store, settled: () => store.jobs.every(j => j.status === "done" || j.status === "dead") };
+}
+
+test("jobs with the same key run one at a time, in order", async t => {
+  const seen = [], running = new Map();
+  const { q, settled } = queue(async p => {
+    running.set(p.key, (running.get(p.key) || 0) + 1);
+    assert.equal(running.get(p.key), 1, `${p.key} ran twice at once`);
+    await sleep(p.ms);
+    seen.push(p.id);
+    running.set(p.key, running.get(p.key) - 1);
+  });
+  t.after(() => q.stop());
+  await q.start();
+
+  await q.enqueue("a", { key: "a", id: "a1", ms: 30 });
+  await q.enqueue("a", { key: "a", id: "a2", ms: 1 });
+  await q.enqueue("b", { key: "b", id: "b1", ms: 1 });
+  await q.enqueue("a", { key: "a", id: "a3", ms: 1 });
+  await until(settled);
+
+  assert.deepEqual(seen.filter(id => id.startsWith("a")), ["a1", "a2", "a3"]);
+  assert.ok(seen.indexOf("b1") < seen.indexOf("a1"), "b didn't wait for a");
+});
+
+test("transient errors retry with growing delays, then succeed", async t => {
+  const at = [];
+  const { q, store, settled } = queue(async () => {
+    at.push(Date.now());
+    if (at.length < 3) throw Object.assign(new Error("rate limited"), { status: 429 });
+  }, { baseDelayMs: 20 });
+  t.after(() => q.stop());
+  await q.start();
+
+  await q.enqueue("a", {});
+  await until(settled);
+
+  const [job] = store.jobs;
+  assert.equal(job.status, "done");
+  assert.equal(job.attempts, 2);
+  assert.equal(at.length, 3);
+  assert.ok(at[1] - at[0] >= 20 && at[2] - at[1] >= 40, "second wait is twice the first");
+});
+
+test("a permanent error goes straight to dead and calls onDead", async t => {
+  const dead = [];
+  const { q, store, settled } = queue(async () => { throw new Error("bad request"); }, {
+    onDead: async (job, err) => dead.push([job.id, err.message])
+  });
+  t.after(() => q.stop());
+  await q.start();
+
+  const job = await q.enqueue("a", {});
+  await until(() => settled() && dead.length);
+
+  assert.equal(store.jobs[0].status, "dead");
+  assert.equal(store.jobs[0].attempts, 1);
+  assert.deepEqual(dead, [[job.id, "bad request"]]);
+});
+
+test("a transient error stops retrying after maxAttempts", async t => {
+  let calls = 0;
+  const { q, store, settled } = queue(async () => {
+    calls++;
+    throw Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+  }, { maxAttempts: 3, baseDelayMs: 1 });
+  t.after(() => q.stop());
+  await q.start();
+
+  await q.enqueue("a", {});
+  await until(settled);
+
+  assert.equal(calls, 3);
+  assert.equal(store.jobs[0].status, "dead");
+  assert.match(store.jobs[0].last_error, /socket hang up/);
+});
+
+test("job.progress survives a retry", async t => {
+  const starts = [];
+  const { q, store, settled } = queue(async (p, job) => {
+    starts.push(p.sent || 0);
+    if (!p.sent) {
+      await job.progress({ sent: 1 });
+      throw Object.assign(new Error("timeout"), { status: 503 });
+    }
+  });
+  t.after(() => q.stop());
+  await q.start();
+
+  await q.enqueue("a", { text: "hi" });
+  await until(settled);
+
+  assert.deepEqual(starts, [0, 1]);
+  assert.deepEqual(store.jobs[0].payload, { text: "hi", sent: 1 });
+});
+
+test("an outcome the store refuses is written later, not lost", async t => {
+  t.mock.method(console, "error", () => {});
+  let calls = 0;
+  const { q, store, settled } = queue(async () => { calls++; });
+  const complete = store.complete;
+  let refuse = 2;
+  store.complete = async id => {
+    if (refuse-- > 0) throw new Error("TypeError: fetch failed");
+    return complete(id);
+  };
+  t.after(() => q.stop());
+  await q.start();
+
+  await q.enqueue("a", {});
+  await q.enqueue("a", {});
+  await until(settled);
+
+  assert.equal(calls, 2, "nothing ran twice");
+  assert.ok(store.jobs.every(j => j.status === "done"));
+});
+
+test("a refused retry still retries the job", async t => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(console, "warn", () => {});
+  let calls = 0;
+  const { q, store, settled } = queue(async () => {
+    if (++calls === 1) throw Object.assign(new Error("busy"), { status: 503 });
+  });
+  const retry = store.retry;
+  let refuse = 1;
+  store.retry = async (id, patch) => {
+    if (refuse-- > 0) throw new Error("TypeError: fetch failed");
+    return retry(id, patch);
+  };
+  t.after(() => q.stop());
+  await q.start();
+
+  await q.enqueue("a", {});
+  await until(settled);
+
+  assert.equal(calls, 2);
+  assert.equal(store.jobs[0].status, "done");
+});
+
+test("network failures from the OpenAI SDK, fetch and supabase-js are transient", () => {
+  assert.ok(isTransient(new APIConnectionError({ message: "Connection error." })));
+  assert.ok(isTransient(new APIConnectionTimeoutError()));
+  assert.ok(isTransient(Object.assign(new TypeError("fetch failed"), { cause: { code: "ECONNRESET" } })));
+  assert.ok(isTransient({ message: "TypeError: fetch failed", details: "", hint: "", code: "" }));
+  assert.ok(isTransient({ message: "FetchError: request failed", details: "", hint: "", code: "" }));
+  assert.ok(!isTransient({ message: "duplicate key value", details: "", hint: "", code: "23505" }));
+  assert.ok(!isTransient({ message: "JWT expired", code: "PGRST301", status: 401 }));
+});
+
+test("isTransient", () => {
+  assert.ok(isTransient({ status: 429 }));
+  assert.ok(isTransient({ status: 502 }));
+  assert.ok(isTransient({ code: "ETIMEDOUT" }));
+  assert.ok(isTransient({ transient: true }));
+  assert.ok(!isTransient({ status: 400 }));
+  assert.ok(!isTransient(new Error("nope")));
+  assert.ok(!isTransient(null));
+});
@@ -0,0 +1,121 @@
+/* lib/quota.js against a stand-in for consume_quota / the usage table */
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { createQuota, loadPlans, period, resetsAt } from "../lib/quota.js";
+
+/* consume_quota's rules (supabase/migrations/…_usage_quota.sql) in memory */
+function fakeSupabase() {
+  const usage = new Map();                      // user → { messages, seconds }
+  const row = u => usage.get(u) || { messages: 0, seconds: 0 };
+  return {
+    usage,
+    async rpc(name, a) {
+      assert.equal(name, "consume_quota");
+      assert.equal(a.p_period, period());
+      const cur  = row(a.p_user);
+      const next = { messages: cur.messages + a.p_messages, seconds: cur.seconds + a.p_seconds };
+      const ok = (a.p_max_messages == null || next.messages <= a.p_max_messages) &&
+                 (a.p_max_seconds  == null || next.seconds  <= a.p_max_seconds);
+      if (ok) usage.set(a.p_user, {
+        messages: Math.max(next.messages, 0), seconds: Math.max(next.seconds, 0)
+      });
+      const now = row(a.p_user);
+      return { data: [{ ok, used_messages: now.messages, used_seconds: now.seconds }], error: null };
+    }
+  };
+}
+
+const plans = loadPlans(JSON.stringify({ FREE: { messages: 2, audioSeconds: 60 } }));
+
+test("reserve takes from the allowance until it is used up", async () => {
+  const supabase = fakeSupabase();
+  const quota = createQuota({ supabase, plans });
+
+  assert.equal((await quota.reserve("u1", "FREE")).ok, true);
+  assert.equal((await quota.reserve("u1", "FREE")).ok, true);
+  const over = await quota.reserve("u1", "FREE");
+  assert.equal(over.ok, false);
+  assert.deepEqual(over.used, { messages: 2, audioSeconds: 0 });
+});
+
+test("a reservation that doesn't fit changes nothing", async () => {
+  const supabase = fakeSupabase();
+  const quota = createQuota({ supabase, plans });
+
+  assert.equal((await quota.reserve("u1", "FREE", { messages: 1, seconds: 50 })).ok, true);
+  assert.equal((await quota.reserve("u1", "FREE", { messages: 1, seconds: 11 })).ok, false);
+  assert.deepEqual(supabase.usage.get("u1"), { messages: 1, seconds: 50 });
+});
+
+test("seconds are rounded up and release hands them back", async () => {
+  const supabase = fakeSupabase();
+  const quota = createQuota({ supabase, plans });
+
+  const r = await quota.reserve("u1", "FREE", { messages: 1, seconds: 9.2 });
+  assert.deepEqual(r.held, { messages: 1, seconds: 10 });
+  await quota.release("u1", r.held);
+  assert.deepEqual(supabase.usage.get("u1"), { messages: 0, seconds: 0 });
+  await quota.release("u1", null);              // nothing held → no call
+});
+
+test("paid plans get their own limits, unknown plans the free ones", () => {
+  const quota = createQuota({ supabase: fakeSupabase(), plans });
+  assert.equal(quota.limitsFor("MONTHLY").messages, 1500);
+  assert.equal(quota.limitsFor("NOPE"), plans.FREE);
+});
+
+test("periods are UTC months", () => {
+  const d = new Date("2026-10-31T23:30:00Z");
+  assert.equal(period(d), "2026-10");
+  assert.equal(resetsAt(d).toISOString(), "2026-11-01T00:00:00.000Z");
+});
+
+/* carried_usage / usage tables, just the calls carry() and restore() make */
+function fakeTables() {
+  const tables = { usage: [], carried_usage: [] };
+  const from = name => {
+    const rows = tables[name];
+    const where = [];
+    const q = {
+      select: () => q,
+      eq: (k, v) => { where.push(r => r[k] === v); return q; },
+      lt: (k, v) => { where.push(r => r[k] < v); return q; },
+      delete: () => Object.assign(q, {
+        then: (ok, no) => {
+          tables[name] = rows.filter(r => !where.every(w => w(r)));
+          return Promise.resolve({ error: null }).then(ok, no);
+        }
+      }),
+      upsert: async list => { rows.push(...[].concat(list)); return { error: null }; },
+      maybeSingle: async () => ({ data: rows.find(r => where.every(w => w(r))) ?? null, error: null })
+    };
+    return q;
+  };
+  return { tables, from, rpc: fakeSupabase().rpc };
+}
+
+test("usage carried over an erase comes back at signup, keyed by an HMAC", async () => {
+  const supabase = fakeTables();
+  const quota = createQuota({ supabase, plans, secret: "s3cret" });
+  supabase.tables.usage.push({ user_id: "old", period: period(), messages: 7, audio_seconds: 30 });
+  supabase.tables.carried_usage.push({ address_hash: "x", period: "2000-01", messages: 1, audio_seconds: 0 });
+
+  await quota.carry("old", ["whatsapp:+15550001111"]);
+  const [row] = supabase.tables.carried_usage;
+  assert.equal(supabase.tables.carried_usage.length, 1, "earlier months dropped");
+  assert.match(row.address_hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(row.address_hash,
+    createHash("sha256").update("whatsapp:+15550001111").digest("hex"), "not a plain hash");
+
+  await quota.restore("new", "whatsapp:+15550001111");
+  await quota.restore("other", "whatsapp:+15550002222");
+  assert.deepEqual(supabase.tables.usage.filter(r => r.user_id !== "old"), [
+    { user_id: "new", period: period(), messages: 7, audio_seconds: 30 }
+  ]);
+});
+
+test("carrying usage needs a secret", async () => {
+  const quota = createQuota({ supabase: fakeTables(), plans });
+  await assert.rejects(quota.restore("u", "whatsapp:+1555"), /secret/);
+});